@@ -177,11 +177,31 @@ async function getItems() {
   return data || [];
 }
 
-async function getWarehouses() {
-  const { data, error } = await supabaseClient
+// Warehouse / rack reads in pages; { data, error }
+function selectWarehouses() {
+  return selectAllPages(() => supabaseClient
     .from('warehouses')
     .select('*')
-    .order('code');
+    .order('code')
+    .order('id'));
+}
+
+function selectRacks(warehouseId = null) {
+  return selectAllPages(() => {
+    let query = supabaseClient
+      .from('racks')
+      .select('*, warehouses(code, name)');
+
+    if (warehouseId) {
+      query = query.eq('warehouse_id', warehouseId);
+    }
+
+    return query.order('code').order('id');
+  });
+}
+
+async function getWarehouses() {
+  const { data, error } = await selectWarehouses();
     
   if (error) {
     console.error('Error fetching warehouses:', error);
@@ -192,15 +212,7 @@ async function getWarehouses() {
 }
 
 async function getRacks(warehouseId = null) {
-  let query = supabaseClient
-    .from('racks')
-    .select('*, warehouses(code, name)');
-    
-  if (warehouseId) {
-    query = query.eq('warehouse_id', warehouseId);
-  }
-  
-  const { data, error } = await query.order('code');
+  const { data, error } = await selectRacks(warehouseId);
     
   if (error) {
     console.error('Error fetching racks:', error);
@@ -210,18 +222,41 @@ async function getRacks(warehouseId = null) {
   return data || [];
 }
 
-async function getItemLocations() {
-  const { data, error } = await supabaseClient
+// Both master data tables for the Warehouses & Racks screen: { success, data: { warehouses, racks }, error }
+async function getMasterData() {
+  if (!supabaseClient) initSupabase();
+  if (!supabaseClient) {
+    return { success: false, error: new Error('Supabase client not initialized') };
+  }
+
+  const [warehouses, racks] = await Promise.all([selectWarehouses(), selectRacks()]);
+  const error = warehouses.error || racks.error;
+  if (error) {
+    console.error('Error fetching warehouses / racks:', error);
+    return { success: false, error };
+  }
+
+  return { success: true, data: { warehouses: warehouses.data, racks: racks.data } };
+}
+
+// filters.sku limits the list to one item (inner join on items)
+async function getItemLocations(filters = {}) {
+  let query = supabaseClient
     .from('item_locations')
     .select(`
       *,
-      items(sku, name),
+      items${filters.sku ? '!inner' : ''}(sku, name),
       warehouses(code, name),
       racks(code),
       profiles(username)
     `)
-    .eq('active', true)
-    .order('added_at', { ascending: false });
+    .eq('active', true);
+
+  if (filters.sku) {
+    query = query.eq('items.sku', filters.sku);
+  }
+
+  const { data, error } = await query.order('added_at', { ascending: false });
     
   if (error) {
     console.error('Error fetching item locations:', error);
@@ -246,10 +281,11 @@ async function addItem(sku, name) {
   return { success: true, data };
 }
 
-async function addWarehouse(code, name) {
+// fields: the other columns of warehouse_master_schema.sql (active)
+async function addWarehouse(code, name, fields = {}) {
   const { data, error } = await supabaseClient
     .from('warehouses')
-    .insert({ code, name })
+    .insert({ ...fields, code, name })
     .select()
     .single();
     
@@ -261,10 +297,11 @@ async function addWarehouse(code, name) {
   return { success: true, data };
 }
 
-async function addRack(warehouseId, code) {
+// fields: the other columns of warehouse_master_schema.sql (name, zone, aisle, level, capacity, active)
+async function addRack(warehouseId, code, fields = {}) {
   const { data, error } = await supabaseClient
     .from('racks')
-    .insert({ warehouse_id: warehouseId, code })
+    .insert({ ...fields, warehouse_id: warehouseId, code })
     .select()
     .single();
     
@@ -276,6 +313,75 @@ async function addRack(warehouseId, code) {
   return { success: true, data };
 }
 
+async function updateMasterRow(table, id, fields) {
+  const { data, error } = await supabaseClient
+    .from(table)
+    .update(fields)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error(`Error updating ${table}:`, error);
+    return { success: false, error };
+  }
+
+  return { success: true, data };
+}
+
+async function deleteMasterRow(table, id) {
+  const { error } = await supabaseClient
+    .from(table)
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    console.error(`Error deleting from ${table}:`, error);
+    return { success: false, error };
+  }
+
+  return { success: true };
+}
+
+function updateWarehouse(id, fields) {
+  return updateMasterRow('warehouses', id, fields);
+}
+
+function updateRack(id, fields) {
+  return updateMasterRow('racks', id, fields);
+}
+
+function deleteWarehouse(id) {
+  return deleteMasterRow('warehouses', id);
+}
+
+function deleteRack(id) {
+  return deleteMasterRow('racks', id);
+}
+
+// Rows with the same columns (PostgREST sends one column list per request); keyOnly leaves
+// existing rows alone instead of overwriting them with the key
+async function upsertMasterRows(table, rows, onConflict, keyOnly) {
+  const { error } = await supabaseClient
+    .from(table)
+    .upsert(rows, { onConflict, ignoreDuplicates: !!keyOnly });
+
+  if (error) {
+    console.error(`Error importing ${table}:`, error);
+    return { success: false, error };
+  }
+
+  return { success: true };
+}
+
+function upsertWarehouses(rows, keyOnly = false) {
+  return upsertMasterRows('warehouses', rows, 'code', keyOnly);
+}
+
+function upsertRacks(rows, keyOnly = false) {
+  return upsertMasterRows('racks', rows, 'warehouse_id,code', keyOnly);
+}
+
 async function addItemLocation(itemId, warehouseId, rackId = null, note = '') {
   const { data, error } = await supabaseClient
     .from('item_locations')
@@ -317,6 +423,114 @@ async function logPrint(itemId, labelQty, labelSize, warehouseId, rackId = null)
   return { success: true, data };
 }
 
+// Batch print logging by item / warehouse / rack code (print_logs_schema.sql, used by js/print-log.js)
+async function logPrints(entries) {
+  if (!supabaseClient) initSupabase();
+  if (!supabaseClient) {
+    return { success: false, error: new Error('Supabase client not initialized') };
+  }
+
+  const { data, error } = await supabaseClient
+    .rpc('log_prints', { entries });
+
+  if (error) {
+    console.error('Error logging prints:', error);
+    return { success: false, error };
+  }
+
+  return { success: true, data };
+}
+
+async function postStockMovements(entries) {
+  if (!supabaseClient) initSupabase();
+  if (!supabaseClient) {
+    return { success: false, error: new Error('Supabase client not initialized') };
+  }
+
+  const { data, error } = await supabaseClient
+    .rpc('post_stock_movements', { entries });
+
+  if (error) {
+    console.error('Error posting stock movements:', error);
+    return { success: false, error };
+  }
+
+  return { success: true, data };
+}
+
+// Rows of a query in pages of QUERY_PAGE_SIZE (PostgREST returns at most 1000 rows per request);
+// build() returns a fresh, ordered query for every page
+const QUERY_PAGE_SIZE = 1000;
+
+async function selectAllPages(build) {
+  const rows = [];
+  for (let start = 0; ; start += QUERY_PAGE_SIZE) {
+    const { data, error } = await build().range(start, start + QUERY_PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+    rows.push(...(data || []));
+    if (!data || data.length < QUERY_PAGE_SIZE) return { data: rows, error: null };
+  }
+}
+
+// Movements of one item with the poster's name (stock_movement_history), oldest first;
+// filters: { organizationId, warehouseCode, rackCode }
+async function getStockMovements(itemCode, filters = {}) {
+  if (!supabaseClient) initSupabase();
+  if (!supabaseClient) {
+    return { success: false, error: new Error('Supabase client not initialized') };
+  }
+
+  const { data, error } = await selectAllPages(() => {
+    let query = supabaseClient
+      .from('stock_movement_history')
+      .select('*')
+      .eq('item_code', itemCode);
+
+    if (filters.organizationId) query = query.eq('organization_id', filters.organizationId);
+    if (filters.warehouseCode) query = query.eq('warehouse_code', filters.warehouseCode);
+    if (filters.rackCode) query = query.eq('rack_code', filters.rackCode);
+
+    return query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+  });
+
+  if (error) {
+    console.error('Error fetching stock movements:', error);
+    return { success: false, error };
+  }
+
+  return { success: true, data };
+}
+
+// Bin card balances of a warehouse (stock_balances), optionally one rack; filters: { warehouseCode, rackCode }
+async function getStockBalances(filters = {}) {
+  if (!supabaseClient) initSupabase();
+  if (!supabaseClient) {
+    return { success: false, error: new Error('Supabase client not initialized') };
+  }
+
+  const { data, error } = await selectAllPages(() => {
+    let query = supabaseClient
+      .from('stock_balances')
+      .select('item_code, item_type, rack_code, quantity')
+      .eq('warehouse_code', filters.warehouseCode);
+
+    if (filters.rackCode) query = query.eq('rack_code', filters.rackCode);
+
+    return query
+      .order('item_code', { ascending: true })
+      .order('rack_code', { ascending: true, nullsFirst: true });
+  });
+
+  if (error) {
+    console.error('Error fetching stock balances:', error);
+    return { success: false, error };
+  }
+
+  return { success: true, data };
+}
+
 async function getPrintReports(startDate = null, endDate = null) {
   const adminCheck = await isAdmin();
   if (!adminCheck) {
@@ -432,12 +646,23 @@ window.SupabaseAPI = {
   getItems,
   getWarehouses,
   getRacks,
+  getMasterData,
   getItemLocations,
   addItem,
   addWarehouse,
   addRack,
+  updateWarehouse,
+  updateRack,
+  deleteWarehouse,
+  deleteRack,
+  upsertWarehouses,
+  upsertRacks,
   addItemLocation,
   logPrint,
+  logPrints,
+  postStockMovements,
+  getStockMovements,
+  getStockBalances,
   getPrintReports,
   autoReadPageInputs
 };
\ No newline at end of file
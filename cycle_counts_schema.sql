@@ -0,0 +1,200 @@
+-- Cycle Counts (cycle-count.html, review on the admin page)
+-- A counter counts one warehouse or rack and submits the session with one line per item:
+--   expected_qty – bin card balance when the count started (null = item not on the bin card yet)
+--   counted_qty  – what was counted (null = expected but not found)
+--   flag         – match / variance / unexpected (found but not expected) / missing
+-- Approving a session posts the variances as 'adjustment' rows in stock_movements, so the bin
+-- card balance becomes the counted quantity. Sessions and lines are only written through the
+-- RPCs below, always in the caller's organization (profiles.organization_id); users read and
+-- admins review the counts of their own organization only.
+-- Run after stock_movements_schema.sql.
+
+create table if not exists public.count_sessions (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null default '00000000-0000-0000-0000-000000000000',
+  warehouse_code text not null,
+  rack_code text,                 -- null = the whole warehouse
+  status text not null default 'submitted' check (status in ('submitted','approved','rejected')),
+  note text,
+  client_ref text unique,         -- draft id from the device; makes a re-submit idempotent
+  counted_by uuid references public.profiles(id),
+  started_at timestamptz,
+  submitted_at timestamptz not null default now(),
+  reviewed_by uuid references public.profiles(id),
+  reviewed_at timestamptz,
+  review_note text
+);
+
+create table if not exists public.count_lines (
+  id bigserial primary key,
+  session_id uuid not null references public.count_sessions(id) on delete cascade,
+  item_code text not null,
+  item_type text check (item_type in ('profile','accessory')),
+  description text,
+  rack_code text,
+  expected_qty numeric(14,3),
+  counted_qty numeric(14,3),
+  variance numeric(14,3) generated always as (coalesce(counted_qty, 0) - coalesce(expected_qty, 0)) stored,
+  flag text not null check (flag in ('match','variance','unexpected','missing')),
+  counted_at timestamptz
+);
+
+alter table public.count_sessions enable row level security;
+alter table public.count_lines enable row level security;
+
+create index if not exists idx_count_sessions_org_status on public.count_sessions(organization_id, status, submitted_at desc);
+create index if not exists idx_count_lines_session on public.count_lines(session_id);
+
+drop policy if exists "count_sessions select" on public.count_sessions;
+create policy "count_sessions select" on public.count_sessions for select using (
+  organization_id = (select organization_id from public.profiles where id = auth.uid())
+);
+drop policy if exists "count_lines select" on public.count_lines;
+create policy "count_lines select" on public.count_lines for select using (
+  exists (
+    select 1 from public.count_sessions cs
+    where cs.id = count_lines.session_id
+      and cs.organization_id = (select organization_id from public.profiles where id = auth.uid())
+  )
+);
+
+-- Sessions with the counter's name; read through to_jsonb() so it works with either profiles
+-- table (username in supabase-schema-fixed.sql, full_name / email in database-schema.sql)
+create or replace view public.count_session_list
+with (security_invoker = true) as
+select
+  cs.*,
+  coalesce(
+    nullif(to_jsonb(p)->>'username', ''),
+    nullif(to_jsonb(p)->>'full_name', ''),
+    nullif(to_jsonb(p)->>'email', '')
+  ) as counter_name
+from public.count_sessions cs
+left join public.profiles p on p.id = cs.counted_by;
+
+-- Submit a finished count: { client_ref, warehouse_code, rack_code, note,
+-- started_at, lines: [{ item_code, item_type, description, rack_code, expected_qty, counted_qty, flag, counted_at }] }
+create or replace function public.submit_count_session(session jsonb)
+returns uuid language plpgsql security definer
+set search_path = public
+as $$
+declare
+  sid uuid;
+  org uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to submit a count';
+  end if;
+  select organization_id into org from public.profiles where id = auth.uid();
+  if org is null then
+    raise exception 'Your profile has no organization';
+  end if;
+  if nullif(session->>'warehouse_code', '') is null then
+    raise exception 'A count needs a warehouse';
+  end if;
+
+  select id into sid from public.count_sessions
+   where client_ref = nullif(session->>'client_ref', '') and organization_id = org;
+  if sid is not null then
+    return sid;
+  end if;
+
+  insert into public.count_sessions (organization_id, warehouse_code, rack_code, note, client_ref, counted_by, started_at)
+  values (
+    org,
+    session->>'warehouse_code',
+    nullif(session->>'rack_code', ''),
+    nullif(session->>'note', ''),
+    nullif(session->>'client_ref', ''),
+    auth.uid(),
+    nullif(session->>'started_at', '')::timestamptz
+  )
+  returning id into sid;
+
+  insert into public.count_lines (session_id, item_code, item_type, description, rack_code, expected_qty, counted_qty, flag, counted_at)
+  select
+    sid,
+    l->>'item_code',
+    nullif(l->>'item_type', ''),
+    nullif(l->>'description', ''),
+    nullif(l->>'rack_code', ''),
+    nullif(l->>'expected_qty', '')::numeric,
+    nullif(l->>'counted_qty', '')::numeric,
+    l->>'flag',
+    nullif(l->>'counted_at', '')::timestamptz
+  from jsonb_array_elements(coalesce(session->'lines', '[]'::jsonb)) l
+  where nullif(l->>'item_code', '') is not null;
+
+  return sid;
+end;
+$$;
+
+grant execute on function public.submit_count_session(jsonb) to authenticated;
+
+-- Approve (post the variances as adjustments) or reject a submitted count. Admins only, and only
+-- for counts of their own organization.
+-- Returns the number of adjustments posted.
+create or replace function public.review_count_session(session uuid, approve boolean, reason text default null)
+returns int language plpgsql security definer
+set search_path = public
+as $$
+declare
+  s public.count_sessions;
+  n int := 0;
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and is_admin = true) then
+    raise exception 'Admins only';
+  end if;
+
+  select * into s from public.count_sessions
+   where id = session
+     and organization_id = (select organization_id from public.profiles where id = auth.uid())
+   for update;
+  if not found then
+    raise exception 'Count session not found';
+  end if;
+  if s.status <> 'submitted' then
+    raise exception 'Count session is already %', s.status;
+  end if;
+
+  if approve then
+    insert into public.stock_movements (
+      organization_id, item_id, item_code, item_type,
+      warehouse_id, warehouse_code, rack_id, rack_code,
+      movement_type, quantity, reference, note, client_ref
+    )
+    select
+      s.organization_id,
+      (select id from public.items where sku = l.item_code),
+      l.item_code,
+      l.item_type,
+      wh.id,
+      s.warehouse_code,
+      (select id from public.racks where warehouse_id = wh.id and code = l.rack_code),
+      l.rack_code,
+      'adjustment',
+      l.variance,
+      'Cycle count ' || to_char(coalesce(s.started_at, s.submitted_at), 'YYYY-MM-DD'),
+      concat_ws(' – ', initcap(l.flag), nullif(reason, '')),
+      'count:' || l.id
+    from public.count_lines l
+    left join public.warehouses wh on wh.code = s.warehouse_code
+    where l.session_id = s.id and l.variance <> 0
+    on conflict (client_ref) do nothing;
+
+    get diagnostics n = row_count;
+  end if;
+
+  update public.count_sessions
+     set status = case when approve then 'approved' else 'rejected' end,
+         reviewed_by = auth.uid(),
+         reviewed_at = now(),
+         review_note = nullif(reason, '')
+   where id = s.id;
+
+  return n;
+end;
+$$;
+
+revoke all on function public.review_count_session(uuid, boolean, text) from anon;
+grant execute on function public.review_count_session(uuid, boolean, text) to authenticated;
@@ -0,0 +1,74 @@
+-- Import Mappings Schema
+-- Column mappings of the Excel import wizard (js/import-mapping.js, js/excel-import-wizard.js):
+--   - import_mappings: named mappings shared by the admins of an organization
+--   - inventory_state.mapping / inventory_versions.mapping: the mapping confirmed for the published
+--     workbook, applied by every client that loads it (js/inventory-data.js)
+-- Run after inventory_versions_schema.sql.
+
+create table if not exists public.import_mappings (
+  organization_id uuid not null references public.organizations(id),
+  name text not null,
+  mapping jsonb not null,          -- {"profiles":{"sheet":"Profiles","columns":{"code":"Item Code",...}},"accessories":{...}}
+  updated_by uuid references auth.users(id),
+  updated_at timestamptz default now(),
+  primary key (organization_id, name)
+);
+
+-- Enable row level security
+alter table public.import_mappings enable row level security;
+
+-- Members of the organization can read its mappings
+create policy "members can read import mappings" on public.import_mappings
+for select using (
+  organization_id = (select organization_id from public.profiles where id = auth.uid())
+);
+
+-- Only admins of the organization can add, change or delete mappings
+create policy "admins can manage import mappings" on public.import_mappings
+for all using (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true and organization_id = import_mappings.organization_id)
+) with check (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true and organization_id = import_mappings.organization_id)
+);
+
+-- Mapping of the published workbook (null = columns are auto-detected)
+alter table public.inventory_state add column if not exists mapping jsonb;
+alter table public.inventory_versions add column if not exists mapping jsonb;
+
+-- Replace the version bump with one that also stores the mapping
+drop function if exists public.bump_inventory_version(uuid, text, text, jsonb);
+
+create or replace function public.bump_inventory_version(org uuid, path text, note text default null, changes jsonb default null, mapping jsonb default null)
+returns int language plpgsql security definer as $$
+declare
+  new_version int;
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and is_admin = true) then
+    raise exception 'Only admins can publish inventory';
+  end if;
+
+  insert into public.inventory_state(organization_id, storage_path, version, mapping, updated_by)
+  values (org, path, 1, bump_inventory_version.mapping, auth.uid())
+  on conflict (organization_id)
+  do update set storage_path = excluded.storage_path,
+                version = public.inventory_state.version + 1,
+                mapping = excluded.mapping,
+                invalidate_at = null,
+                updated_at = now(),
+                updated_by = excluded.updated_by
+  returning version into new_version;
+
+  insert into public.inventory_versions(organization_id, version, storage_path, file_name, changelog, changes, mapping, published_by)
+  values (org, new_version, path, regexp_replace(path, '^.*/[0-9]+_', ''), nullif(trim(note), ''), changes, bump_inventory_version.mapping, auth.uid())
+  on conflict (organization_id, version) do update
+    set storage_path = excluded.storage_path,
+        file_name = excluded.file_name,
+        changelog = excluded.changelog,
+        changes = excluded.changes,
+        mapping = excluded.mapping,
+        published_by = excluded.published_by,
+        published_at = now();
+
+  return new_version;
+end;
+$$;
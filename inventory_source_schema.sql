@@ -0,0 +1,10 @@
+-- Inventory Source Schema
+-- Where every page loads the inventory from (js/inventory-data.js), switched under
+-- Inventory Source on the admin page (run after inventory_state_schema.sql):
+--   'tables'     – inventory_profiles / inventory_accessories
+--   'workbook'   – the published workbook (inventory_state.storage_path)
+--   'sharepoint' – the SharePoint / OneDrive workbook
+
+alter table public.inventory_state
+  add column if not exists data_source text not null default 'tables'
+  check (data_source in ('tables', 'workbook', 'sharepoint'));
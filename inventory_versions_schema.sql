@@ -0,0 +1,78 @@
+-- Inventory Versions Schema
+-- One row per published inventory workbook (run after inventory_state_schema.sql).
+-- bump_inventory_version now also records the version here, with an optional changelog entry
+-- and the diff summary against the previously published workbook (js/inventory-diff.js).
+
+create table if not exists public.inventory_versions (
+  organization_id uuid not null references public.organizations(id),
+  version int not null,
+  storage_path text not null,
+  file_name text,
+  changelog text,                  -- optional note entered by the admin when publishing
+  changes jsonb,                   -- diff summary, e.g. {"profiles":{"added":3,"removed":0,"changed":12},...}
+  published_by uuid references auth.users(id),
+  published_at timestamptz default now(),
+  primary key (organization_id, version)
+);
+
+-- Enable row level security
+alter table public.inventory_versions enable row level security;
+
+-- Any authenticated user can read the version history
+create policy "authenticated users can read inventory versions" on public.inventory_versions
+for select using (
+  auth.role() = 'authenticated'
+);
+
+-- Only admins can add versions (bump_inventory_version runs as security definer)
+create policy "admins can insert inventory versions" on public.inventory_versions
+for insert with check (
+  auth.role() = 'authenticated' AND
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
+
+-- Replace the two-argument version bump with one that also records the version
+drop function if exists public.bump_inventory_version(uuid, text);
+
+create or replace function public.bump_inventory_version(org uuid, path text, note text default null, changes jsonb default null)
+returns int language plpgsql security definer as $$
+declare
+  new_version int;
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and is_admin = true) then
+    raise exception 'Only admins can publish inventory';
+  end if;
+
+  insert into public.inventory_state(organization_id, storage_path, version, updated_by)
+  values (org, path, 1, auth.uid())
+  on conflict (organization_id)
+  do update set storage_path = excluded.storage_path,
+                version = public.inventory_state.version + 1,
+                invalidate_at = null,
+                updated_at = now(),
+                updated_by = excluded.updated_by
+  returning version into new_version;
+
+  insert into public.inventory_versions(organization_id, version, storage_path, file_name, changelog, changes, published_by)
+  values (org, new_version, path, regexp_replace(path, '^.*/[0-9]+_', ''), nullif(trim(note), ''), changes, auth.uid())
+  on conflict (organization_id, version) do update
+    set storage_path = excluded.storage_path,
+        file_name = excluded.file_name,
+        changelog = excluded.changelog,
+        changes = excluded.changes,
+        published_by = excluded.published_by,
+        published_at = now();
+
+  return new_version;
+end;
+$$;
+
+-- Record the currently published workbook as the first known version
+insert into public.inventory_versions(organization_id, version, storage_path, file_name, published_by, published_at)
+select organization_id, version, storage_path, regexp_replace(storage_path, '^.*/[0-9]+_', ''), updated_by, updated_at
+from public.inventory_state
+where storage_path <> ''
+on conflict (organization_id, version) do nothing;
+
+-- Add index
+CREATE INDEX IF NOT EXISTS idx_inventory_versions_org_published ON public.inventory_versions(organization_id, published_at desc);
@@ -0,0 +1,42 @@
+// Helpers shared by the inventory, stock and printing modules (load before them)
+
+(function() {
+    'use strict';
+
+    const DEFAULT_ORG = '00000000-0000-0000-0000-000000000000';
+
+    function getClient() {
+        return window._sbClient || null;
+    }
+
+    // Organization of the signed-in user (window.ORG_ID / org_id), else the default organization
+    function orgId() {
+        return window.ORG_ID || localStorage.getItem('org_id') || DEFAULT_ORG;
+    }
+
+    // Cell / field value as trimmed text ('' for null / undefined)
+    function s(v) {
+        return v == null ? '' : String(v).trim();
+    }
+
+    // Warehouse / rack / item codes as compared across pages: the sheets type them in many ways
+    // ("wh 1", "WH1"), so case and spaces are ignored
+    function normCode(v) {
+        return s(v).toLowerCase().replace(/\s+/g, '');
+    }
+
+    // Client-side reference, so a retried post is only recorded once
+    function newRef() {
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    window.AlumilCommon = {
+        DEFAULT_ORG,
+        getClient,
+        orgId,
+        s,
+        normCode,
+        newRef
+    };
+
+})();
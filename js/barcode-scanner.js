@@ -0,0 +1,231 @@
+// Barcode scanning for the warehouse pages (bin card, cycle count, transfers)
+// Same camera flow as the label pages: the native BarcodeDetector when the browser has it,
+// otherwise ZXing loaded on demand. The page supplies the modal markup (#scanModal with a
+// <video>, see bin-card.html); create() wires it up and calls onCode(text) for every read.
+// listenWedge() picks up hardware scanners that type the code followed by Enter.
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        ZXING_URL: 'https://unpkg.com/@zxing/library@0.20.0/umd/index.min.js',
+        FORMATS: ['code_128', 'code_39', 'code_93', 'ean_13', 'ean_8', 'upc_a', 'upc_e', 'qr_code'],
+        WEDGE_GAP_MS: 250,
+        WEDGE_MIN: 4
+    };
+
+    let zxingLoading = null;
+
+    function loadZXing() {
+        if (window.ZXing) return Promise.resolve();
+        if (!zxingLoading) {
+            zxingLoading = new Promise((res, rej) => {
+                const s = document.createElement('script');
+                s.src = CONFIG.ZXING_URL;
+                s.onload = res;
+                s.onerror = () => {
+                    zxingLoading = null;
+                    rej(new Error('Could not load the ZXing barcode library'));
+                };
+                document.head.appendChild(s);
+            });
+        }
+        return zxingLoading;
+    }
+
+    async function listCameras() {
+        try {
+            const all = await navigator.mediaDevices.enumerateDevices();
+            return all.filter(d => d.kind === 'videoinput');
+        } catch {
+            return [];
+        }
+    }
+
+    function secureOrigin() {
+        return location.protocol === 'https:' || location.hostname === 'localhost' || location.hostname === '127.0.0.1';
+    }
+
+    // Readable message for a getUserMedia / scanner failure
+    function describeError(err) {
+        const name = (err && err.name) || '';
+        if (name === 'NotAllowedError' || name === 'SecurityError') return 'Camera permission denied. Allow camera access and try again.';
+        if (name === 'NotFoundError' || name === 'OverconstrainedError') return 'No usable camera found on this device.';
+        return 'Could not start camera scanner. See console for details.';
+    }
+
+    /**
+     * Camera scanner bound to a modal.
+     * opts: { modal, video, closeButton, flipButton, onCode(text), onError(message), keepOpen }
+     * The modal closes after the first read unless opts.keepOpen / setKeepOpen(true)
+     * (continuous counting).
+     */
+    function create(opts) {
+        const { modal, video } = opts;
+        let stream = null;
+        let stopReader = null;
+        let devices = [];
+        let deviceIndex = -1;
+        let usingNative = false;
+        let keepOpen = !!opts.keepOpen;
+        let lastCode = '';
+        let lastAt = 0;
+
+        function show(open) {
+            modal.classList.toggle('open', open);
+            modal.setAttribute('aria-hidden', open ? 'false' : 'true');
+            document.body.classList.toggle('no-scroll', open);
+        }
+
+        // The same code stays in view for a while; report it once per second
+        function read(text) {
+            const code = String(text || '').trim();
+            const now = Date.now();
+            if (!code || (code === lastCode && now - lastAt < 1000)) return;
+            lastCode = code;
+            lastAt = now;
+            if (!keepOpen) stop();
+            opts.onCode(code);
+        }
+
+        function fail(err) {
+            console.error('❌ Scanner error:', err);
+            stop();
+            if (opts.onError) opts.onError(describeError(err));
+        }
+
+        async function startNative() {
+            devices = await listCameras();
+            stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: { ideal: 'environment' } }, audio: false });
+            video.srcObject = stream;
+            await new Promise(res => { video.onloadedmetadata = () => res(); setTimeout(res, 250); });
+            try { await video.play(); } catch {}
+
+            const detector = new BarcodeDetector({ formats: CONFIG.FORMATS });
+            let rafId;
+            let running = true;
+            const tick = async () => {
+                if (!running) return;
+                try {
+                    const codes = await detector.detect(video);
+                    if (codes && codes.length) read(codes[0].rawValue);
+                } catch {}
+                if (running) rafId = requestAnimationFrame(tick);
+            };
+            tick();
+            stopReader = () => {
+                running = false;
+                if (rafId) cancelAnimationFrame(rafId);
+            };
+        }
+
+        async function startZXing(deviceId) {
+            await loadZXing();
+            if (deviceId === undefined) {
+                devices = await listCameras();
+                const env = devices.find(d => /back|rear|environment/i.test(d.label));
+                deviceIndex = devices.indexOf(env ?? devices[0] ?? null);
+                if (deviceIndex >= 0) deviceId = devices[deviceIndex].deviceId;
+            }
+            const reader = new ZXing.BrowserMultiFormatReader();
+            const controls = await reader.decodeFromVideoDevice(deviceId || undefined, video, (result) => {
+                if (result && result.getText()) read(result.getText());
+            });
+            stopReader = () => { try { controls?.stop(); reader.reset(); } catch {} };
+        }
+
+        async function start() {
+            if (!secureOrigin()) {
+                if (opts.onError) opts.onError('Camera requires HTTPS or http://localhost.');
+                return;
+            }
+            show(true);
+            if ('BarcodeDetector' in window) {
+                try {
+                    usingNative = true;
+                    await startNative();
+                    return;
+                } catch (e) {
+                    console.warn('Native BarcodeDetector failed, falling back to ZXing:', e);
+                }
+            }
+            usingNative = false;
+            try {
+                await startZXing();
+            } catch (e) {
+                fail(e);
+            }
+        }
+
+        function stop() {
+            if (stopReader) { try { stopReader(); } catch {} stopReader = null; }
+            if (stream) { try { stream.getTracks().forEach(t => t.stop()); } catch {} stream = null; }
+            show(false);
+        }
+
+        async function flip() {
+            if (usingNative) {
+                stop();
+                setTimeout(start, 50);
+                return;
+            }
+            if (!devices.length) return;
+            deviceIndex = (deviceIndex + 1) % devices.length;
+            if (stopReader) { try { stopReader(); } catch {} stopReader = null; }
+            try {
+                await startZXing(devices[deviceIndex].deviceId);
+            } catch (e) {
+                fail(e);
+            }
+        }
+
+        if (opts.closeButton) opts.closeButton.addEventListener('click', stop);
+        if (opts.flipButton) opts.flipButton.addEventListener('click', flip);
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.classList.contains('open')) stop();
+        });
+
+        return {
+            start,
+            stop,
+            flip,
+            setKeepOpen: (v) => { keepOpen = !!v; },
+            isOpen: () => modal.classList.contains('open')
+        };
+    }
+
+    /**
+     * Keyboard wedge: fast keystrokes ending in Enter outside of text fields are a scan.
+     * Returns a function that removes the listener.
+     */
+    function listenWedge(onCode) {
+        let buf = '';
+        let last = 0;
+        const handler = (e) => {
+            const target = e.target;
+            if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+            const now = Date.now();
+            if (now - last > CONFIG.WEDGE_GAP_MS) buf = '';
+            last = now;
+            if (e.key === 'Enter') {
+                if (buf.length >= CONFIG.WEDGE_MIN) {
+                    e.preventDefault();
+                    onCode(buf.trim());
+                }
+                buf = '';
+                return;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.key && e.key.length === 1) buf += e.key;
+        };
+        window.addEventListener('keydown', handler, true);
+        return () => window.removeEventListener('keydown', handler, true);
+    }
+
+    window.BarcodeScanner = {
+        create,
+        listenWedge,
+        describeError
+    };
+
+})();
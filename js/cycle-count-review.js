@@ -0,0 +1,162 @@
+/**
+ * Cycle Count Review
+ * Admin page: lists submitted counts (#count-review-overlay), shows the variance report of a
+ * session and approves it (posts the variances as bin card adjustments) or rejects it
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const overlay = document.getElementById('count-review-overlay');
+  const tile = document.getElementById('count-review-tile');
+  if (!overlay || !tile || !window.CycleCount) return;
+
+  const el = (id) => document.getElementById(id);
+  const esc = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  const qty = (n) => n == null ? '—' : Number(n).toLocaleString(undefined, { maximumFractionDigits: 3 });
+  const when = (d) => d ? new Date(d).toLocaleString() : '—';
+  const place = (s) => `${s.warehouse_code}${s.rack_code ? ' / ' + s.rack_code : ''}`;
+  const FLAG_CLASS = { match: 'text-green-400', variance: 'text-amber-400', unexpected: 'text-red-400', missing: 'text-red-400' };
+
+  let sessions = [];
+  let selected = null;
+  let selectedLines = [];
+
+  // Number of counts waiting for approval on the tile
+  const updateBadge = async () => {
+    const res = await CycleCount.sessions({ status: 'submitted' });
+    const badge = el('count-review-badge');
+    const n = res.success ? res.data.length : 0;
+    badge.textContent = n;
+    badge.classList.toggle('hidden', !n);
+  };
+
+  const loadSessions = async () => {
+    selected = null;
+    el('cr-detail').classList.add('hidden');
+    el('cr-sessions').innerHTML = '<p class="text-sm text-gray-400">Loading…</p>';
+    const res = await CycleCount.sessions({ status: el('cr-status').value });
+    if (!res.success) {
+      el('cr-sessions').innerHTML = `<p class="text-sm text-red-400">Could not load counts: ${esc(res.error?.message || res.error)}</p>`;
+      return;
+    }
+    sessions = res.data;
+    if (!sessions.length) {
+      el('cr-sessions').innerHTML = '<p class="text-sm text-gray-400">No counts.</p>';
+      return;
+    }
+    el('cr-sessions').innerHTML = `<table class="iw-table"><thead><tr><th>Submitted</th><th>Location</th><th>Counted by</th><th>Note</th><th>Status</th></tr></thead><tbody>`
+      + sessions.map((s, i) => `<tr class="cursor-pointer hover:bg-gray-700/40" data-i="${i}">
+          <td>${esc(when(s.submitted_at))}</td><td>${esc(place(s))}</td><td>${esc(s.counter_name || '—')}</td>
+          <td>${esc(s.note)}</td><td>${esc(s.status)}${s.reviewed_at ? ` · ${esc(when(s.reviewed_at))}` : ''}</td></tr>`).join('')
+      + '</tbody></table>';
+    el('cr-sessions').querySelectorAll('tr[data-i]').forEach(tr => tr.addEventListener('click', () => showSession(sessions[Number(tr.dataset.i)])));
+  };
+
+  const showSession = async (session) => {
+    selected = session;
+    el('cr-detail').classList.remove('hidden');
+    el('cr-detail-title').textContent = `Count ${place(session)}`;
+    el('cr-detail-meta').textContent = `Started ${when(session.started_at)} · submitted ${when(session.submitted_at)} by ${session.counter_name || '—'}`
+      + (session.review_note ? ` · review: ${session.review_note}` : '');
+    el('cr-lines').innerHTML = '<p class="text-sm text-gray-400">Loading…</p>';
+    el('cr-reason').value = '';
+
+    const pending = session.status === 'submitted';
+    el('cr-approve').disabled = !pending;
+    el('cr-reject').disabled = !pending;
+    el('cr-reason').disabled = !pending;
+
+    const res = await CycleCount.lines(session.id);
+    if (selected !== session) return;
+    if (!res.success) {
+      el('cr-lines').innerHTML = `<p class="text-sm text-red-400">Could not load the lines: ${esc(res.error?.message || res.error)}</p>`;
+      return;
+    }
+    selectedLines = res.data;
+
+    const count = (flag) => selectedLines.filter(l => l.flag === flag).length;
+    const adjustments = selectedLines.filter(l => Number(l.variance) !== 0);
+    el('cr-summary').innerHTML = `<tbody>
+      <tr><th>Lines</th><td>${selectedLines.length}</td><th>Match</th><td>${count('match')}</td><th>Variance</th><td>${count('variance')}</td></tr>
+      <tr><th>Not expected</th><td>${count('unexpected')}</td><th>Missing</th><td>${count('missing')}</td><th>Adjustments</th><td>${adjustments.length}</td></tr>
+    </tbody>`;
+
+    // Problems first, matches last
+    const order = { variance: 0, unexpected: 1, missing: 2, match: 3 };
+    const rows = selectedLines.slice().sort((a, b) => order[a.flag] - order[b.flag]);
+    el('cr-lines').innerHTML = `<table class="iw-table"><thead><tr><th>Rack</th><th>Item</th><th>Description</th><th>Expected</th><th>Counted</th><th>Variance</th><th>Flag</th></tr></thead><tbody>`
+      + rows.map(l => `<tr><td>${esc(l.rack_code)}</td><td>${esc(l.item_code)}</td><td>${esc(l.description)}</td>
+          <td>${qty(l.expected_qty)}</td><td>${qty(l.counted_qty)}</td>
+          <td class="${Number(l.variance) ? 'font-semibold' : ''}">${Number(l.variance) > 0 ? '+' : ''}${qty(l.variance)}</td>
+          <td class="${FLAG_CLASS[l.flag] || ''}">${esc(CycleCount.FLAGS[l.flag] || l.flag)}</td></tr>`).join('')
+      + '</tbody></table>';
+  };
+
+  const review = async (approve) => {
+    if (!selected) return;
+    const adjustments = selectedLines.filter(l => Number(l.variance) !== 0).length;
+    const question = approve
+      ? `Approve the count of ${place(selected)} and post ${adjustments} adjustment(s) to the bin cards?`
+      : `Reject the count of ${place(selected)}? Nothing is posted.`;
+    if (!confirm(question)) return;
+
+    el('cr-approve').disabled = true;
+    el('cr-reject').disabled = true;
+    const res = await CycleCount.review(selected.id, approve, el('cr-reason').value);
+    if (!res.success) {
+      alert(`Review failed: ${res.error?.message || res.error}`);
+      el('cr-approve').disabled = false;
+      el('cr-reject').disabled = false;
+      return;
+    }
+    console.log(`📋 ${approve ? `Approved, ${res.data} adjustment(s) posted` : 'Rejected'}: ${place(selected)}`);
+    await loadSessions();
+    updateBadge();
+  };
+
+  // Variance report as a workbook (one row per line)
+  const exportReport = () => {
+    if (!selected || typeof XLSX === 'undefined') return;
+    try {
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(selectedLines.map(l => ({
+        Warehouse: selected.warehouse_code,
+        Rack: l.rack_code || '',
+        Code: l.item_code,
+        Description: l.description || '',
+        Expected: l.expected_qty == null ? '' : Number(l.expected_qty),
+        Counted: l.counted_qty == null ? '' : Number(l.counted_qty),
+        Variance: Number(l.variance),
+        Flag: CycleCount.FLAGS[l.flag] || l.flag
+      }))), 'Variance');
+      const date = (selected.started_at || selected.submitted_at || '').slice(0, 10);
+      XLSX.writeFile(wb, `count_${place(selected).replace(/[^A-Za-z0-9-]+/g, '_')}_${date}.xlsx`);
+    } catch (error) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  const open = () => {
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+    loadSessions();
+  };
+
+  const close = () => {
+    overlay.classList.add('hidden');
+    overlay.setAttribute('aria-hidden', 'true');
+  };
+
+  tile.addEventListener('click', (e) => {
+    e.preventDefault();
+    open();
+  });
+  el('cr-close').addEventListener('click', close);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  el('cr-status').addEventListener('change', loadSessions);
+  el('cr-approve').addEventListener('click', () => review(true));
+  el('cr-reject').addEventListener('click', () => review(false));
+  el('cr-export').addEventListener('click', exportReport);
+
+  // The Supabase client is created on DOMContentLoaded as well
+  setTimeout(updateBadge, 1500);
+});
@@ -0,0 +1,352 @@
+// Cycle counting (count_sessions / count_lines, see cycle_counts_schema.sql)
+// start() opens a count for a warehouse or rack. Expected items are the inventory rows whose
+// warehouse_no / rack_no match, plus whatever has a bin card balance there (stock_balances).
+// Scans and counts are kept in a localStorage draft, so a count survives reloads and dead
+// zones in the warehouse; submit() sends the finished count for admin approval, and
+// review() (admins) approves it, which posts the variances as bin card adjustments.
+
+(function() {
+    'use strict';
+
+    const { getClient, s, normCode, newRef } = window.AlumilCommon;
+
+    const CONFIG = {
+        DRAFT_KEY: 'alumil:cycleCount',
+        EVENT: 'cycleCountUpdated'
+    };
+
+    const FLAGS = {
+        pending: 'Not counted',
+        match: 'Match',
+        variance: 'Variance',
+        unexpected: 'Not expected here',
+        missing: 'Expected, not found'
+    };
+
+    function same(a, b) {
+        return normCode(a) === normCode(b);
+    }
+
+    function lineKey(itemCode, rackCode) {
+        return `${s(itemCode).toLowerCase()}\u0001${s(rackCode).toLowerCase()}`;
+    }
+
+    /* ---------- Draft ---------- */
+
+    let draft = null;
+
+    function read() {
+        try {
+            const d = JSON.parse(localStorage.getItem(CONFIG.DRAFT_KEY) || 'null');
+            return d && Array.isArray(d.lines) ? d : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function save() {
+        try {
+            if (draft) localStorage.setItem(CONFIG.DRAFT_KEY, JSON.stringify(draft));
+            else localStorage.removeItem(CONFIG.DRAFT_KEY);
+        } catch (e) {
+            console.warn('Cycle count draft storage failed', e);
+        }
+        window.dispatchEvent(new CustomEvent(CONFIG.EVENT, { detail: { draft } }));
+    }
+
+    function current() {
+        if (!draft) draft = read();
+        return draft;
+    }
+
+    function discard() {
+        draft = null;
+        save();
+    }
+
+    /* ---------- Expected stock ---------- */
+
+    // Inventory rows located in the warehouse (and rack)
+    function expectedFromData(warehouseCode, rackCode) {
+        const records = window.InventoryData?.get().records || {};
+        const out = [];
+        [['profile', records.profiles || []], ['accessory', records.accessories || []]].forEach(([type, list]) => {
+            list.forEach(rec => {
+                if (!same(rec.warehouse_no, warehouseCode)) return;
+                if (rackCode && !same(rec.rack_no, rackCode)) return;
+                out.push({ itemCode: s(rec.code), itemType: type, description: s(rec.description), rackCode: rackCode || s(rec.rack_no) });
+            });
+        });
+        return out;
+    }
+
+    // Bin card balances at the location; an unavailable ledger only loses the expected quantities
+    async function expectedFromLedger(warehouseCode, rackCode) {
+        if (!window.SupabaseAPI?.getStockBalances) return [];
+        try {
+            const res = await window.SupabaseAPI.getStockBalances({ warehouseCode, rackCode });
+            if (!res.success) throw res.error;
+            return res.data;
+        } catch (error) {
+            console.warn('⚠️ Could not load bin card balances for the count:', error.message || error);
+            return [];
+        }
+    }
+
+    /**
+     * Open a count for a warehouse (and optionally one rack). Replaces any unfinished draft.
+     */
+    async function start({ warehouseCode, rackCode, note } = {}) {
+        const wh = s(warehouseCode);
+        const rack = s(rackCode);
+        if (!wh) throw new Error('Choose a warehouse to count');
+
+        const lines = new Map();
+        expectedFromData(wh, rack).forEach(e => {
+            const key = lineKey(e.itemCode, e.rackCode);
+            if (!lines.has(key)) lines.set(key, { key, ...e, inData: true, expected: null, counted: null, countedAt: null });
+        });
+        (await expectedFromLedger(wh, rack)).forEach(b => {
+            const key = lineKey(b.item_code, b.rack_code);
+            const line = lines.get(key) || {
+                key,
+                itemCode: s(b.item_code),
+                itemType: b.item_type || null,
+                description: s(window.StockMovements?.findItem(b.item_code)?.description),
+                rackCode: s(b.rack_code),
+                inData: false,
+                counted: null,
+                countedAt: null
+            };
+            line.expected = Number(b.quantity);
+            lines.set(key, line);
+        });
+
+        draft = {
+            id: newRef(),
+            warehouseCode: wh,
+            rackCode: rack,
+            note: s(note),
+            startedAt: new Date().toISOString(),
+            lines: Array.from(lines.values()).sort((a, b) => a.rackCode.localeCompare(b.rackCode) || a.itemCode.localeCompare(b.itemCode))
+        };
+        save();
+        console.log(`📋 Count started for ${wh}${rack ? '/' + rack : ''}: ${draft.lines.length} expected item(s)`);
+        return draft;
+    }
+
+    /* ---------- Counting ---------- */
+
+    function isExpected(line) {
+        return line.inData || (line.expected != null && line.expected !== 0);
+    }
+
+    /**
+     * match / variance / unexpected / missing, or pending while an expected item is not counted
+     */
+    function flag(line) {
+        if (!isExpected(line)) return 'unexpected';
+        if (line.counted == null) return 'pending';
+        if (line.counted === 0 && line.expected !== 0) return 'missing';
+        if (line.expected != null && line.counted !== line.expected) return 'variance';
+        return 'match';
+    }
+
+    /**
+     * The draft line for a scanned / typed code, added as unexpected when it is not on the list.
+     * opts.rackCode picks the rack in a whole-warehouse count. Returns { success, data: line, error }
+     */
+    function scan(text, opts = {}) {
+        const d = current();
+        if (!d) return { success: false, error: new Error('Start a count first') };
+        const code = s(text);
+        if (!code) return { success: false, error: new Error('Nothing scanned') };
+
+        const item = window.StockMovements?.findItem(code);
+        const itemCode = item ? item.code : code;
+        const rack = d.rackCode || s(opts.rackCode);
+        const candidates = d.lines.filter(l => same(l.itemCode, itemCode));
+
+        let line = rack ? candidates.find(l => same(l.rackCode, rack)) : candidates.length === 1 ? candidates[0] : null;
+        if (!line && !rack && candidates.length > 1) {
+            return { success: false, error: new Error(`${itemCode} is expected on several racks (${candidates.map(l => l.rackCode).join(', ')}); choose the rack you are counting`) };
+        }
+        if (!line) {
+            line = {
+                key: lineKey(itemCode, rack),
+                itemCode,
+                itemType: item ? item.type : null,
+                description: item ? item.description : '',
+                rackCode: rack,
+                inData: false,
+                expected: null,
+                counted: null,
+                countedAt: null,
+                unknown: !item
+            };
+            d.lines.push(line);
+            save();
+        }
+        return { success: true, data: line };
+    }
+
+    /**
+     * Set the counted quantity of a line (mode 'add' adds to what is already counted)
+     */
+    function setCount(key, qty, mode = 'set') {
+        const d = current();
+        const line = d && d.lines.find(l => l.key === key);
+        if (!line) return { success: false, error: new Error('Line not found') };
+        const n = Number(qty);
+        if (!Number.isFinite(n) || n < 0) return { success: false, error: new Error('Enter a quantity of 0 or more') };
+
+        line.counted = Math.round(((mode === 'add' ? line.counted || 0 : 0) + n) * 1000) / 1000;
+        line.countedAt = new Date().toISOString();
+        save();
+        return { success: true, data: line };
+    }
+
+    // Forget a count (or drop an unexpected line that was scanned by mistake)
+    function clearCount(key) {
+        const d = current();
+        const i = d ? d.lines.findIndex(l => l.key === key) : -1;
+        if (i < 0) return;
+        if (isExpected(d.lines[i])) {
+            d.lines[i].counted = null;
+            d.lines[i].countedAt = null;
+        } else {
+            d.lines.splice(i, 1);
+        }
+        save();
+    }
+
+    function summary(d = current()) {
+        const out = { lines: 0, counted: 0, pending: 0, match: 0, variance: 0, unexpected: 0, missing: 0 };
+        (d?.lines || []).forEach(l => {
+            out.lines++;
+            if (l.counted != null) out.counted++;
+            out[flag(l)]++;
+        });
+        return out;
+    }
+
+    /* ---------- Submit / review ---------- */
+
+    /**
+     * Submit the draft for approval. Expected items that were not counted are sent as missing
+     * (counted 0). Returns { success, data: sessionId, error }
+     */
+    async function submit(note) {
+        const d = current();
+        if (!d) return { success: false, error: new Error('No count in progress') };
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+
+        const session = {
+            client_ref: d.id,
+            warehouse_code: d.warehouseCode,
+            rack_code: d.rackCode || null,
+            note: s(note ?? d.note) || null,
+            started_at: d.startedAt,
+            lines: d.lines.map(l => {
+                const counted = l.counted == null && isExpected(l) ? 0 : l.counted;
+                const f = flag({ ...l, counted });
+                return {
+                    item_code: l.itemCode,
+                    item_type: l.itemType,
+                    description: l.description || null,
+                    rack_code: l.rackCode || null,
+                    expected_qty: l.expected,
+                    counted_qty: counted,
+                    flag: f,
+                    counted_at: l.countedAt
+                };
+            }).filter(l => l.counted_qty != null)
+        };
+
+        try {
+            const { data, error } = await sb.rpc('submit_count_session', { session });
+            if (error) throw error;
+            console.log(`📋 Count ${d.warehouseCode}${d.rackCode ? '/' + d.rackCode : ''} submitted for approval`);
+            discard();
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error submitting count:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Submitted sessions, newest first (filters.status: submitted / approved / rejected)
+     */
+    async function sessions(filters = {}) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        try {
+            let query = sb
+                .from('count_session_list')
+                .select('*');
+            if (filters.status) query = query.eq('status', filters.status);
+            const { data, error } = await query.order('submitted_at', { ascending: false }).limit(filters.limit || 50);
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (error) {
+            console.error('Error loading count sessions:', error);
+            return { success: false, error };
+        }
+    }
+
+    async function lines(sessionId) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        try {
+            const { data, error } = await sb
+                .from('count_lines')
+                .select('*')
+                .eq('session_id', sessionId)
+                .order('rack_code')
+                .order('item_code');
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (error) {
+            console.error('Error loading count lines:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Approve (posts the variances as adjustments) or reject a session. Admins only.
+     * Returns { success, data: number of adjustments posted, error }
+     */
+    async function review(sessionId, approve, reason) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        try {
+            const { data, error } = await sb.rpc('review_count_session', { session: sessionId, approve: !!approve, reason: s(reason) || null });
+            if (error) throw error;
+            console.log(`📋 Count ${approve ? 'approved' : 'rejected'}${approve ? `, ${data} adjustment(s) posted` : ''}`);
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error reviewing count:', error);
+            return { success: false, error };
+        }
+    }
+
+    window.CycleCount = {
+        EVENT: CONFIG.EVENT,
+        FLAGS,
+        start,
+        current,
+        discard,
+        scan,
+        setCount,
+        clearCount,
+        flag,
+        summary,
+        submit,
+        sessions,
+        lines,
+        review
+    };
+
+})();
@@ -7,18 +7,36 @@ class AlumilDataService {
   constructor(supabaseClient, organizationId = '00000000-0000-0000-0000-000000000000') {
     this.supabase = supabaseClient;
     this.orgId = organizationId;
+    // 'tables' loads inventory_profiles / inventory_accessories; for the workbook sources
+    // js/inventory-data.js pushes the rows in with useRows()
+    this.source = 'tables';
     this.cache = {
       profiles: [],
       accessories: [],
       lastFetch: null,
       cacheTimeout: 5 * 60 * 1000 // 5 minutes
     };
+    // Realtime row changes are queued and applied in one pass after a quiet period
+    this.realtime = {
+      debounceMs: 400,
+      maxWaitMs: 3000,
+      pending: { profiles: [], accessories: [] },
+      timer: null,
+      firstQueuedAt: null,
+      live: false,
+      version: null
+    };
   }
 
   /**
-   * Initialize the data service
+   * Initialize the data service (once; later calls share the first run)
    */
-  async init() {
+  init() {
+    if (!this.initPromise) this.initPromise = this.initialize();
+    return this.initPromise;
+  }
+
+  async initialize() {
     // Load initial data
     await this.loadData();
     
@@ -48,13 +66,21 @@ class AlumilDataService {
   }
 
   /**
-   * Search profiles by code or description
+   * Search profiles by code or description (typo-tolerant and ranked with js/fuzzy-search.js,
+   * plain substring match without it). opts.limit caps the results (0 = all)
    */
-  async searchProfiles(query, forceRefresh = false) {
+  async searchProfiles(query, forceRefresh = false, opts = {}) {
     const profiles = await this.getProfiles(forceRefresh);
     const searchTerm = query.toLowerCase().trim();
     
     if (!searchTerm) return profiles;
+
+    if (window.FuzzySearch) {
+      return FuzzySearch.search(profiles, searchTerm, {
+        fields: { description: 3, system: 2, color: 1, alloy: 1 },
+        limit: opts.limit ?? 0
+      });
+    }
     
     return profiles.filter(item => 
       item.code?.toLowerCase().includes(searchTerm) ||
@@ -66,13 +92,20 @@ class AlumilDataService {
   }
 
   /**
-   * Search accessories by code or description
+   * Search accessories by code or description (see searchProfiles)
    */
-  async searchAccessories(query, forceRefresh = false) {
+  async searchAccessories(query, forceRefresh = false, opts = {}) {
     const accessories = await this.getAccessories(forceRefresh);
     const searchTerm = query.toLowerCase().trim();
     
     if (!searchTerm) return accessories;
+
+    if (window.FuzzySearch) {
+      return FuzzySearch.search(accessories, searchTerm, {
+        fields: { description: 3, category: 1 },
+        limit: opts.limit ?? 0
+      });
+    }
     
     return accessories.filter(item => 
       item.code?.toLowerCase().includes(searchTerm) ||
@@ -121,9 +154,10 @@ class AlumilDataService {
    */
   async ensureDataLoaded(forceRefresh = false) {
     const now = Date.now();
+    // While the realtime channels are live the cache is kept current by applyChanges()
     const needsRefresh = forceRefresh || 
       !this.cache.lastFetch || 
-      (now - this.cache.lastFetch) > this.cache.cacheTimeout;
+      (this.source === 'tables' && !this.realtime.live && (now - this.cache.lastFetch) > this.cache.cacheTimeout);
 
     if (needsRefresh) {
       await this.loadData();
@@ -134,6 +168,12 @@ class AlumilDataService {
    * Load data from Supabase
    */
   async loadData(forceRefresh = false) {
+    // Workbook sources are loaded by the data layer, which hands the rows back through useRows()
+    if (this.source !== 'tables') {
+      if (window.InventoryData) await (forceRefresh ? InventoryData.reload() : InventoryData.init());
+      return;
+    }
+
     try {
       // Check if we have cached data and don't need refresh
       if (!forceRefresh && this.cache.lastFetch && 
@@ -141,13 +181,11 @@ class AlumilDataService {
         return;
       }
 
-      // First, try to load from localStorage for immediate display
-      if (!forceRefresh) {
-        this.loadFromLocalStorage();
-      }
-
       console.log('🔄 Loading fresh data from Supabase...');
 
+      // Queued row changes are covered by the full reload
+      this.clearPendingChanges();
+
       // Fetch profiles and accessories with pagination to overcome limits - TRULY UNLIMITED
       this.cache.profiles = await this.fetchAllRecords('inventory_profiles');
       this.cache.accessories = await this.fetchAllRecords('inventory_accessories');
@@ -155,18 +193,12 @@ class AlumilDataService {
 
       console.log(`✅ Data loaded from database with pagination: ${this.cache.profiles.length} profiles, ${this.cache.accessories.length} accessories`);
 
-      // Update localStorage for offline access - using session storage for large datasets
-      this.saveToStorage();
-
       // Notify listeners of data update
       this.notifyDataUpdated();
 
     } catch (error) {
       console.error('Failed to load data from database:', error);
       
-      // Fall back to localStorage if database fails
-      this.loadFromLocalStorage();
-      
       // Show user-friendly message but don't throw error - graceful degradation
       console.warn('📦 Using cached data due to database connection issue');
     }
@@ -221,43 +253,176 @@ class AlumilDataService {
   // Removed saveToStorage: no longer storing arrays in localStorage/sessionStorage.
 
   /**
-   * Set up real-time subscriptions for data updates
+   * Set up real-time subscriptions for data updates.
+   * Row changes are applied to the in-memory cache by id (debounced, see queueChange);
+   * only a new inventory version (inventory_state) triggers a full reload
    */
   setupRealTimeSubscriptions() {
-    // Subscribe to profiles table changes
+    const tables = { inventory_profiles: 'profiles', inventory_accessories: 'accessories' };
+    const status = {};
+    let dropped = false;
+    const onStatus = (name) => (state) => {
+      status[name] = state;
+      if (state === 'CHANNEL_ERROR' || state === 'TIMED_OUT' || state === 'CLOSED') dropped = true;
+      this.realtime.live = Object.keys(status).length === 3 && Object.values(status).every(s => s === 'SUBSCRIBED');
+      // Changes made while a channel was down never arrive: reload once every channel is back
+      if (this.realtime.live && dropped) {
+        dropped = false;
+        console.log('🔄 Realtime reconnected, reloading inventory');
+        this.loadVersion();
+        this.loadData(true);
+      }
+    };
+
+    Object.entries(tables).forEach(([table, kind]) => {
+      this.supabase
+        .channel(`${table}_changes`)
+        .on('postgres_changes',
+          { event: '*', schema: 'public', table },
+          (payload) => this.queueChange(kind, payload)
+        )
+        .subscribe(onStatus(table));
+    });
+
+    // Version bumps (new workbook, rollback) reload everything
+    this.loadVersion();
     this.supabase
-      .channel('inventory_profiles_changes')
-      .on('postgres_changes', 
-        { event: '*', schema: 'public', table: 'inventory_profiles' },
+      .channel(`alumil_data_state:${this.orgId}`)
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'inventory_state', filter: `organization_id=eq.${this.orgId}` },
         (payload) => {
-          console.log('Profiles table changed:', payload);
+          const version = payload.new?.version ?? null;
+          if (version === null || version === this.realtime.version) return;
+          console.log(`🔄 Inventory version changed: ${this.realtime.version ?? 'none'} -> ${version}, reloading`);
+          this.realtime.version = version;
           this.loadData(true);
         }
       )
-      .subscribe();
+      .subscribe(onStatus('inventory_state'));
+  }
 
-    // Subscribe to accessories table changes
-    this.supabase
-      .channel('inventory_accessories_changes')
-      .on('postgres_changes', 
-        { event: '*', schema: 'public', table: 'inventory_accessories' },
-        (payload) => {
-          console.log('Accessories table changed:', payload);
-          this.loadData(true);
+  /**
+   * Remember the published inventory version so only real bumps trigger a reload
+   */
+  async loadVersion() {
+    try {
+      const { data, error } = await this.supabase
+        .from('inventory_state')
+        .select('version')
+        .eq('organization_id', this.orgId)
+        .maybeSingle();
+      if (error) throw error;
+      this.realtime.version = data?.version ?? null;
+    } catch (error) {
+      console.warn('⚠️ Could not read inventory version:', error.message || error);
+    }
+  }
+
+  /**
+   * Queue a postgres_changes payload; bursts (e.g. a chunked upsert) are applied together
+   * once no change arrived for debounceMs, or after maxWaitMs at the latest
+   */
+  queueChange(kind, payload) {
+    if (this.source !== 'tables') return;
+    const rt = this.realtime;
+    rt.pending[kind].push(payload);
+
+    const now = Date.now();
+    if (!rt.firstQueuedAt) rt.firstQueuedAt = now;
+    clearTimeout(rt.timer);
+    const wait = Math.max(0, Math.min(rt.debounceMs, rt.firstQueuedAt + rt.maxWaitMs - now));
+    rt.timer = setTimeout(() => this.flushChanges(), wait);
+  }
+
+  clearPendingChanges() {
+    const rt = this.realtime;
+    clearTimeout(rt.timer);
+    rt.timer = null;
+    rt.firstQueuedAt = null;
+    rt.pending = { profiles: [], accessories: [] };
+  }
+
+  /**
+   * Apply all queued changes and notify listeners once
+   */
+  flushChanges() {
+    const pending = this.realtime.pending;
+    this.clearPendingChanges();
+
+    const counts = {};
+    ['profiles', 'accessories'].forEach(kind => {
+      if (pending[kind].length) counts[kind] = this.applyChanges(kind, pending[kind]);
+    });
+    if (!Object.keys(counts).length) return;
+
+    this.cache.lastFetch = Date.now();
+    console.log('⚡ Applied realtime changes:', counts);
+    this.notifyDataUpdated({ incremental: true, changes: counts });
+  }
+
+  /**
+   * Apply INSERT / UPDATE / DELETE payloads to one cached list.
+   * Rows are matched by id (DELETE payloads only carry the primary key)
+   */
+  applyChanges(kind, changes) {
+    const rows = this.cache[kind].slice();
+    const position = new Map();
+    rows.forEach((row, i) => position.set(row.id, i));
+    const removed = new Set();
+    const counts = { inserted: 0, updated: 0, deleted: 0 };
+
+    changes.forEach(({ eventType, new: row, old }) => {
+      if (eventType === 'DELETE') {
+        const i = position.get(old?.id);
+        if (i !== undefined && !removed.has(i)) {
+          removed.add(i);
+          counts.deleted++;
         }
-      )
-      .subscribe();
+        return;
+      }
+      if (!row?.id || (row.organization_id && row.organization_id !== this.orgId)) return;
+
+      const i = position.get(row.id);
+      if (i !== undefined) {
+        rows[i] = row;
+        if (removed.delete(i)) counts.inserted++;
+        else counts.updated++;
+      } else {
+        position.set(row.id, rows.length);
+        rows.push(row);
+        counts.inserted++;
+      }
+    });
+
+    const next = removed.size ? rows.filter((_, i) => !removed.has(i)) : rows;
+    if (counts.inserted) next.sort((a, b) => String(a.code ?? '').localeCompare(String(b.code ?? '')));
+    this.cache[kind] = next;
+    return counts;
+  }
+
+  /**
+   * Serve rows loaded from another source (called by js/inventory-data.js)
+   */
+  useRows(profiles, accessories, meta = {}) {
+    this.clearPendingChanges();
+    this.source = meta.source || this.source;
+    this.cache.profiles = profiles;
+    this.cache.accessories = accessories;
+    this.cache.lastFetch = Date.now();
+    this.notifyDataUpdated({ source: this.source });
   }
 
   /**
    * Notify listeners of data updates
    */
-  notifyDataUpdated() {
+  notifyDataUpdated(extra = {}) {
     window.dispatchEvent(new CustomEvent('alumilDataLoaded', {
       detail: {
         profiles: this.cache.profiles.length,
         accessories: this.cache.accessories.length,
-        timestamp: this.cache.lastFetch
+        timestamp: this.cache.lastFetch,
+        incremental: false,
+        ...extra
       }
     }));
   }
@@ -321,25 +486,13 @@ class AlumilDataService {
 // Export for global use
 window.AlumilDataService = AlumilDataService;
 
-// Auto-initialize global instance if Supabase client is available
+// Auto-initialize global instance if Supabase client is available.
+// Pages with js/inventory-data.js leave this to the data layer, which picks the source
 document.addEventListener('DOMContentLoaded', () => {
+  if (window.InventoryData) return;
   if (window._sbClient && !window.alumilData) {
     window.alumilData = new AlumilDataService(window._sbClient);
     window.alumilData.init();
     console.log('✅ Global AlumilDataService initialized');
-    
-    // Check if InventoryStateManager is available and initialize it
-    if (window.InventoryStateManager) {
-      console.log('🔄 InventoryStateManager detected - will use modern cache system');
-      
-      // Initialize the inventory state manager with the organization ID
-      const orgId = window.alumilData.orgId;
-      window.inventoryState = new InventoryStateManager(window._sbClient, orgId);
-      
-      // Initialize the inventory state (loads from cache or remote)
-      window.inventoryState.init();
-    } else {
-      console.log('⚠️ InventoryStateManager not available - using legacy cache system');
-    }
   }
 });
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * Alumil Excel Import Wizard
+ * Lets the admin pick the profiles / accessories sheets, map every source column to a
+ * target field and preview the first rows before AlumilExcelUploader processes the file.
+ * Mappings can be saved by name for the whole organization (js/import-mapping.js).
+ * Markup: #import-wizard-overlay in admin.html.
+ */
+
+class ExcelImportWizard {
+  constructor() {
+    this.kinds = ['profiles', 'accessories'];
+    this.kind = 'profiles';
+    this.workbook = null;
+    this.sheets = {};
+    this.mapping = { profiles: { sheet: null, columns: {} }, accessories: { sheet: null, columns: {} } };
+    this.resolver = null;
+    this.bound = false;
+  }
+
+  el(id) {
+    return document.getElementById(id);
+  }
+
+  esc(v) {
+    return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  /**
+   * Show the wizard for a parsed workbook.
+   * Resolves with the mapping ({ profiles, accessories, name }) or null when cancelled.
+   */
+  async open(workbook, fileName) {
+    if (!this.el('import-wizard-overlay')) {
+      return null;
+    }
+    this.bind();
+    await ImportMapping.sync();
+    this.workbook = workbook;
+    this.sheets = {};
+    this.kind = 'profiles';
+
+    const last = ImportMapping.getLast();
+    this.loadMapping(last && ImportMapping.get(last) ? last : '');
+    this.renderSaved(last);
+    this.el('iw-file').textContent = fileName || '';
+    this.el('iw-name').value = last || '';
+    this.render();
+
+    const overlay = this.el('import-wizard-overlay');
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+
+    return new Promise(resolve => { this.resolver = resolve; });
+  }
+
+  close(result) {
+    const overlay = this.el('import-wizard-overlay');
+    overlay.classList.add('hidden');
+    overlay.setAttribute('aria-hidden', 'true');
+    const resolve = this.resolver;
+    this.resolver = null;
+    if (resolve) resolve(result);
+  }
+
+  /**
+   * Bind the wizard controls once
+   */
+  bind() {
+    if (this.bound) return;
+    this.bound = true;
+
+    document.querySelectorAll('#import-wizard .iw-tab').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.kind = btn.dataset.kind;
+        this.render();
+      });
+    });
+
+    this.el('iw-sheet').addEventListener('change', (e) => {
+      const sheet = e.target.value || null;
+      this.mapping[this.kind] = { sheet, columns: ImportMapping.autoMap(this.sheet(sheet).headers, this.kind) };
+      this.render();
+    });
+
+    this.el('iw-fields').addEventListener('change', (e) => {
+      const select = e.target.closest('select[data-field]');
+      if (!select) return;
+      const columns = this.mapping[this.kind].columns;
+      if (select.value) columns[select.dataset.field] = select.value;
+      else delete columns[select.dataset.field];
+      this.render();
+    });
+
+    this.el('iw-saved').addEventListener('change', (e) => {
+      this.loadMapping(e.target.value);
+      this.el('iw-name').value = e.target.value;
+      this.render();
+    });
+
+    this.el('iw-delete').addEventListener('click', async () => {
+      const name = this.el('iw-saved').value;
+      if (!name || !confirm(`Delete the saved mapping "${name}"?`)) return;
+      const res = await ImportMapping.remove(name);
+      if (!res.success) {
+        alert(res.error.message);
+        return;
+      }
+      this.renderSaved('');
+    });
+
+    this.el('iw-save').addEventListener('click', async () => {
+      const res = await ImportMapping.save(this.el('iw-name').value, this.mapping);
+      if (!res.success) {
+        alert(res.error.message);
+        return;
+      }
+      this.renderSaved(res.name);
+      this.say(`Saved mapping "${res.name}"`);
+    });
+
+    this.el('iw-cancel').addEventListener('click', () => this.close(null));
+
+    this.el('iw-import').addEventListener('click', () => {
+      if (this.problems().length) return;
+      const name = this.el('iw-saved').value || '';
+      if (name) ImportMapping.setLast(name);
+      this.close({ ...JSON.parse(JSON.stringify(this.mapping)), name });
+    });
+  }
+
+  sheet(name) {
+    if (!name) return { headers: [], rows: [] };
+    if (!this.sheets[name]) this.sheets[name] = ImportMapping.readSheet(this.workbook, name);
+    return this.sheets[name];
+  }
+
+  /**
+   * Apply a saved mapping (or auto-detect when name is empty) to the current workbook
+   */
+  loadMapping(name) {
+    const saved = name ? ImportMapping.get(name) : null;
+    const names = this.workbook?.SheetNames || [];
+    this.kinds.forEach(kind => {
+      const savedSheet = saved?.[kind]?.sheet;
+      const sheet = savedSheet && names.includes(savedSheet) ? savedSheet : ImportMapping.detectSheet(this.workbook, kind);
+      this.mapping[kind] = {
+        sheet,
+        columns: ImportMapping.resolve(this.sheet(sheet).headers, kind, saved?.[kind]?.columns)
+      };
+    });
+  }
+
+  /**
+   * Blocking issues: a selected sheet without its required columns, or nothing to import
+   */
+  problems() {
+    const out = [];
+    this.kinds.forEach(kind => {
+      const m = this.mapping[kind];
+      if (!m.sheet) return;
+      const miss = ImportMapping.missing(kind, m.columns);
+      if (miss.length) out.push(`${kind}: map ${miss.join(', ')}`);
+    });
+    if (!this.mapping.profiles.sheet && !this.mapping.accessories.sheet) out.push('Select at least one sheet');
+    return out;
+  }
+
+  say(msg) {
+    this.el('iw-status').textContent = msg || '';
+  }
+
+  renderSaved(selected) {
+    const sel = this.el('iw-saved');
+    sel.innerHTML = '<option value="">— Auto-detect —</option>' + ImportMapping.list()
+      .map(n => `<option value="${this.esc(n)}">${this.esc(n)}</option>`).join('');
+    sel.value = selected && ImportMapping.get(selected) ? selected : '';
+  }
+
+  render() {
+    const kind = this.kind;
+    const m = this.mapping[kind];
+    const names = this.workbook?.SheetNames || [];
+    const detected = ImportMapping.detectSheet(this.workbook, kind);
+    const { headers, rows } = this.sheet(m.sheet);
+
+    document.querySelectorAll('#import-wizard .iw-tab').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.kind === kind);
+    });
+
+    this.el('iw-sheet').innerHTML = '<option value="">— Do not import —</option>' + names
+      .map(n => `<option value="${this.esc(n)}">${this.esc(n)}${n === detected ? ' (detected)' : ''}</option>`).join('');
+    this.el('iw-sheet').value = m.sheet || '';
+    this.el('iw-sheet-note').textContent = m.sheet
+      ? `${rows.length} rows · ${headers.filter(Boolean).length} columns`
+      : (detected ? '' : `No sheet named like "${kind}" was found — pick one or skip it.`);
+
+    const options = (value) => '<option value="">— not mapped —</option>' + headers.filter(Boolean)
+      .map(h => `<option value="${this.esc(h)}"${h === value ? ' selected' : ''}>${this.esc(h)}</option>`).join('');
+    this.el('iw-fields').innerHTML = m.sheet ? ImportMapping.TARGETS[kind].map(t => `
+      <label class="iw-field">
+        <span>${this.esc(t.label)}${t.required ? ' *' : ''}</span>
+        <select class="input-field" data-field="${t.key}">${options(m.columns[t.key])}</select>
+      </label>`).join('') : '';
+
+    this.renderPreview();
+
+    const problems = this.problems();
+    this.el('iw-import').disabled = problems.length > 0;
+    this.say(problems.join(' · '));
+  }
+
+  renderPreview() {
+    const kind = this.kind;
+    const m = this.mapping[kind];
+    const wrap = this.el('iw-preview');
+    if (!m.sheet) {
+      wrap.innerHTML = '';
+      return;
+    }
+    const fields = ImportMapping.TARGETS[kind].filter(t => m.columns[t.key]);
+    const recs = ImportMapping.apply(this.sheet(m.sheet), kind, m.columns, { limit: ImportMapping.PREVIEW_ROWS });
+    if (!fields.length || !recs.length) {
+      wrap.innerHTML = '<p class="text-xs text-gray-400">Nothing to preview.</p>';
+      return;
+    }
+    wrap.innerHTML = `<table class="iw-table">
+      <thead><tr>${fields.map(f => `<th>${this.esc(f.label)}</th>`).join('')}</tr></thead>
+      <tbody>${recs.map(r => `<tr>${fields.map(f => `<td>${this.esc(r[f.key])}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+  }
+}
+
+// Export for use in other scripts
+window.ExcelImportWizard = ExcelImportWizard;
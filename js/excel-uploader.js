@@ -73,8 +73,16 @@ class AlumilExcelUploader {
   async handleFileSelect(event) {
     const file = event.target.files[0];
     if (!file) return;
+    await this.loadFile(file);
+  }
 
-    if (!this.validateFile(file)) return;
+  /**
+   * Upload a workbook to storage, confirm its column mapping and parse it into pendingData
+   * (also used by the Upload button of the inventory state section, js/inventory-state-ui.js).
+   * Resolves with { success, data }, { success: false, cancelled: true } or { success: false, error }
+   */
+  async loadFile(file) {
+    if (!this.validateFile(file)) return { success: false, error: new Error('Please upload a valid Excel (.xlsx, .xls) or CSV file under 10MB.') };
 
     try {
       this.setUploadStatus('processing', `Uploading ${file.name} to cloud storage...`);
@@ -104,8 +112,17 @@ class AlumilExcelUploader {
       if (!response.ok) throw new Error('Failed to fetch uploaded file from storage.');
       const arrayBuffer = await response.arrayBuffer();
 
-      // Parse Excel from arrayBuffer
-      const data = await this.processExcelFileFromBuffer(arrayBuffer, file.name);
+      // Let the admin confirm sheets and column mapping before anything is parsed into records
+      const workbook = this.readWorkbook(arrayBuffer);
+      const mapping = await this.askMapping(workbook, file.name);
+      if (mapping === null) {
+        this.setUploadStatus('info', 'Import cancelled.');
+        return { success: false, cancelled: true };
+      }
+
+      // Parse Excel with the confirmed mapping
+      const data = this.processWorkbook(workbook, file.name, mapping);
+      this.pendingData = { ...data, fileSize: file.size, rawExcelData: arrayBuffer, storagePath };
 
       // Update UI (show counts, etc.)
       this.updateUI(data, file.name);
@@ -114,44 +131,69 @@ class AlumilExcelUploader {
       localStorage.setItem('excelFileMeta', JSON.stringify({ fileUrl, uploadedAt: new Date().toISOString() }));
 
       this.setUploadStatus('success', `File uploaded and parsed! ${data.profiles.length} profiles and ${data.accessories.length} accessories loaded. Ready to publish to database.`);
-
-      // Optionally, you can trigger the upsert here or require a separate publish action
-      // await this.publishToDatabaseFromData(data, fileUrl);
+      return { success: true, data: this.pendingData };
 
     } catch (error) {
       console.error('File upload/parse error:', error);
       this.setUploadStatus('error', `Error uploading or parsing file: ${error.message}`);
+      return { success: false, error };
     }
   }
 
   /**
-   * Parse Excel file from ArrayBuffer (from storage URL)
+   * Parse an ArrayBuffer into an XLSX workbook
    */
-  async processExcelFileFromBuffer(arrayBuffer, fileName) {
-    try {
-      const data = new Uint8Array(arrayBuffer);
-      const workbook = XLSX.read(data, {
-        type: 'array',
-        cellDates: true,
-        cellNF: false,
-        cellText: false,
-        range: undefined
-      });
+  readWorkbook(arrayBuffer) {
+    return XLSX.read(new Uint8Array(arrayBuffer), {
+      type: 'array',
+      cellDates: true,
+      cellNF: false,
+      cellText: false,
+      range: undefined
+    });
+  }
 
-      // Find profiles and accessories sheets
-      const profilesSheet = this.findSheet(workbook, ['profiles', 'profile', 'prof']);
-      const accessoriesSheet = this.findSheet(workbook, ['accessories', 'accessory', 'acc']);
+  /**
+   * Open the column-mapping wizard; resolves with the mapping, null when cancelled,
+   * or undefined (auto-detect) when the wizard is not on this page
+   */
+  async askMapping(workbook, fileName) {
+    if (!window.ExcelImportWizard || !window.ImportMapping) return undefined;
+    if (!this.wizard) this.wizard = new window.ExcelImportWizard();
+    const mapping = await this.wizard.open(workbook, fileName);
+    return mapping ? mapping : null;
+  }
 
-      const profiles = profilesSheet ? this.processProfilesSheet(workbook.Sheets[profilesSheet]) : [];
-      const accessories = accessoriesSheet ? this.processAccessoriesSheet(workbook.Sheets[accessoriesSheet]) : [];
+  /**
+   * Extract profiles and accessories from a workbook using a mapping
+   * ({ profiles: { sheet, columns }, accessories: { sheet, columns }, name }); without one the
+   * sheets and columns are auto-detected
+   */
+  processWorkbook(workbook, fileName, mapping) {
+    const profilesSheet = mapping ? mapping.profiles?.sheet : this.findSheet(workbook, ['profiles', 'profile', 'prof']);
+    const accessoriesSheet = mapping ? mapping.accessories?.sheet : this.findSheet(workbook, ['accessories', 'accessory', 'acc']);
+
+    const profiles = profilesSheet ? this.processProfilesSheet(workbook.Sheets[profilesSheet], mapping?.profiles?.columns) : [];
+    const accessories = accessoriesSheet ? this.processAccessoriesSheet(workbook.Sheets[accessoriesSheet], mapping?.accessories?.columns) : [];
+
+    return {
+      profiles,
+      accessories,
+      fileName,
+      // Published with the workbook so every client reads it with the same columns
+      mapping: mapping ? { profiles: mapping.profiles || null, accessories: mapping.accessories || null, name: mapping.name || '' } : null,
+      mappingName: mapping?.name || '',
+      processedAt: new Date().toISOString(),
+      totalRows: profiles.length + accessories.length
+    };
+  }
 
-      return {
-        profiles,
-        accessories,
-        fileName,
-        processedAt: new Date().toISOString(),
-        totalRows: profiles.length + accessories.length
-      };
+  /**
+   * Parse Excel file from ArrayBuffer (from storage URL)
+   */
+  async processExcelFileFromBuffer(arrayBuffer, fileName, mapping) {
+    try {
+      return this.processWorkbook(this.readWorkbook(arrayBuffer), fileName, mapping);
     } catch (error) {
       throw new Error('Failed to parse Excel file from buffer: ' + error.message);
     }
@@ -256,105 +298,41 @@ class AlumilExcelUploader {
       if (found) return found;
     }
     
-    // Fallback to first sheet for profiles, second for accessories
-    return sheetNames[patterns.includes('prof') ? 0 : 1];
+    // Fallback to first sheet for profiles, second for accessories (the import wizard shows this guess)
+    const fallback = sheetNames[patterns.includes('prof') ? 0 : 1];
+    console.warn(`⚠️ No sheet matching ${patterns.join('/')}, guessing "${fallback}"`);
+    return fallback;
   }
 
   /**
-   * Process profiles sheet data - imports ALL rows and ALL columns without any limits
+   * Process profiles sheet data - imports ALL rows and ALL columns without any limits.
+   * `columns` maps target fields to header text (see js/import-mapping.js); auto-detected when omitted.
    */
-  processProfilesSheet(worksheet) {
-    // Import ALL data without any row or column limits
-    const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-      defval: '', // Default value for empty cells
-      raw: false, // Convert all values to strings first
-      header: 1, // Use first row as headers
-      range: undefined // Process ENTIRE sheet without range limits
-    });
-    
-    if (rawData.length === 0) return [];
-    
-    // Get ALL headers from first row
-    const headers = rawData[0];
-    const dataRows = rawData.slice(1); // ALL data rows without any limits
-    
-    console.log(`📊 Processing ${dataRows.length} profile rows with ${headers.length} columns (ALL COLUMNS PRESERVED)`);
-    console.log(`📋 Column titles detected:`, headers);
-    
-    return dataRows.map((row, index) => {
-      const profileData = {
-        // Primary fields with multiple column name variations
-        code: this.cleanString(row[this.findColumnIndex(headers, ['Code', 'Item Code', 'Profile Code', 'code', 'CODE'])] || ''),
-        description: this.cleanString(row[this.findColumnIndex(headers, ['Description', 'Desc', 'Name', 'description', 'DESCRIPTION'])] || ''),
-        length: this.parseNumber(row[this.findColumnIndex(headers, ['Length', 'Len', 'length', 'LENGTH'])]),
-        color: this.cleanString(row[this.findColumnIndex(headers, ['Color', 'Colour', 'color', 'COLOR'])] || ''),
-        alloy: this.cleanString(row[this.findColumnIndex(headers, ['Alloy', 'alloy', 'ALLOY'])] || ''),
-        system: this.cleanString(row[this.findColumnIndex(headers, ['System', 'system', 'SYSTEM'])] || ''),
-        warehouse_no: this.cleanString(row[this.findColumnIndex(headers, ['Warehouse', 'Warehouse No', 'warehouse_no', 'WAREHOUSE'])] || ''),
-        rack_no: this.cleanString(row[this.findColumnIndex(headers, ['Rack', 'Rack No', 'rack_no', 'RACK'])] || ''),
-        quantity: this.parseNumber(row[this.findColumnIndex(headers, ['Quantity', 'Qty', 'quantity', 'QUANTITY'])]) || 0,
-        unit: this.cleanString(row[this.findColumnIndex(headers, ['Unit', 'UOM', 'unit', 'UNIT'])] || 'pcs')
-      };
-      
-      // Add ALL additional columns as custom fields to preserve COMPLETE data
-      headers.forEach((header, colIndex) => {
-        if (header && row[colIndex] !== undefined && row[colIndex] !== '') {
-          const fieldName = this.sanitizeFieldName(header);
-          if (!profileData.hasOwnProperty(fieldName) && !this.isStandardField(fieldName)) {
-            profileData[fieldName] = this.cleanString(row[colIndex]);
-          }
-        }
-      });
-      
-      return profileData;
-    }).filter(item => item.code); // Only include items with codes
+  processProfilesSheet(worksheet, columns) {
+    return this.processSheet(worksheet, 'profiles', columns);
   }
 
   /**
    * Process accessories sheet data - imports ALL rows and ALL columns without any limits
    */
-  processAccessoriesSheet(worksheet) {
-    // Import ALL data without any row or column limits
-    const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-      defval: '', // Default value for empty cells
-      raw: false, // Convert all values to strings first
-      header: 1, // Use first row as headers
-      range: undefined // Process ENTIRE sheet without range limits
+  processAccessoriesSheet(worksheet, columns) {
+    return this.processSheet(worksheet, 'accessories', columns);
+  }
+
+  /**
+   * Map one sheet to records; unmapped columns are kept as custom fields
+   */
+  processSheet(worksheet, kind, columns) {
+    const sheet = window.ImportMapping.readWorksheet(worksheet);
+    if (!sheet.headers.length) return [];
+
+    const mapped = columns || window.ImportMapping.autoMap(sheet.headers, kind);
+    console.log(`📊 Processing ${sheet.rows.length} ${kind} rows with ${sheet.headers.length} columns (ALL COLUMNS PRESERVED)`);
+    console.log('📋 Column mapping:', mapped);
+
+    return window.ImportMapping.apply(sheet, kind, mapped, {
+      reserved: ['id', 'organization_id', 'created_at', 'updated_at']
     });
-    
-    if (rawData.length === 0) return [];
-    
-    // Get ALL headers from first row
-    const headers = rawData[0];
-    const dataRows = rawData.slice(1); // ALL data rows without any limits
-    
-    console.log(`📦 Processing ${dataRows.length} accessory rows with ${headers.length} columns (ALL COLUMNS PRESERVED)`);
-    console.log(`📋 Column titles detected:`, headers);
-    
-    return dataRows.map((row, index) => {
-      const accessoryData = {
-        // Primary fields with multiple column name variations
-        code: this.cleanString(row[this.findColumnIndex(headers, ['Code', 'Item Code', 'Accessory Code', 'code', 'CODE'])] || ''),
-        description: this.cleanString(row[this.findColumnIndex(headers, ['Description', 'Desc', 'Name', 'description', 'DESCRIPTION'])] || ''),
-        unit: this.cleanString(row[this.findColumnIndex(headers, ['Unit', 'UOM', 'unit', 'UNIT'])] || 'pcs'),
-        category: this.cleanString(row[this.findColumnIndex(headers, ['Category', 'Type', 'category', 'CATEGORY'])] || ''),
-        warehouse_no: this.cleanString(row[this.findColumnIndex(headers, ['Warehouse', 'Warehouse No', 'warehouse_no', 'WAREHOUSE'])] || ''),
-        rack_no: this.cleanString(row[this.findColumnIndex(headers, ['Rack', 'Rack No', 'rack_no', 'RACK'])] || ''),
-        quantity: this.parseNumber(row[this.findColumnIndex(headers, ['Quantity', 'Qty', 'quantity', 'QUANTITY'])]) || 0
-      };
-      
-      // Add ALL additional columns as custom fields to preserve COMPLETE data
-      headers.forEach((header, colIndex) => {
-        if (header && row[colIndex] !== undefined && row[colIndex] !== '') {
-          const fieldName = this.sanitizeFieldName(header);
-          if (!accessoryData.hasOwnProperty(fieldName) && !this.isStandardField(fieldName)) {
-            accessoryData[fieldName] = this.cleanString(row[colIndex]);
-          }
-        }
-      });
-      
-      return accessoryData;
-    }).filter(item => item.code); // Only include items with codes
   }
 
   /**
@@ -413,10 +391,215 @@ class AlumilExcelUploader {
   // Removed storeDataLocally: no longer storing arrays in localStorage/sessionStorage. Only keep file URL/version if needed.
 
   /**
-   * Publish data to Supabase database using the InventoryStateManager
+   * Warehouse codes known to the database (empty when the table is missing or unreadable)
+   */
+  async loadWarehouseCodes() {
+    try {
+      const { data, error } = await this.supabase.from('warehouses').select('code');
+      if (error) throw error;
+      return (data || []).map(w => w.code).filter(Boolean);
+    } catch (error) {
+      console.warn('⚠️ Could not load warehouses, skipping warehouse check:', error.message || error);
+      return [];
+    }
+  }
+
+  /**
+   * Run the pre-publish validation and show the report when there is anything to report.
+   * Resolves with the report (check report.ok), null when the admin cancels, or undefined
+   * when js/import-validation.js is not loaded
+   */
+  async validateForPublish(data) {
+    if (!window.ImportValidation) return undefined;
+    const report = ImportValidation.validate(data, { warehouses: await this.loadWarehouseCodes() });
+    console.log(`🔎 Validation: ${report.errors} error(s), ${report.warnings} warning(s)`);
+    if (!report.issues.length) return report;
+    const confirmed = await this.reviewValidation(report, data.fileName);
+    return confirmed || !report.ok ? report : null;
+  }
+
+  /**
+   * Show the validation report (#validation-overlay in admin.html).
+   * Resolves true when the admin publishes; errors disable Publish, warnings need the checkbox
+   */
+  reviewValidation(report, fileName) {
+    const el = (id) => document.getElementById(id);
+    const overlay = el('validation-overlay');
+    if (!overlay) {
+      if (!report.ok) return Promise.resolve(false);
+      return Promise.resolve(confirm(`${report.warnings} validation warning(s) found. Publish anyway?`));
+    }
+
+    const esc = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const rules = ImportValidation.RULES;
+    const sheetLabel = { profiles: 'Profiles', accessories: 'Accessories' };
+    const shown = report.issues
+      .slice()
+      .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1))
+      .slice(0, ImportValidation.MAX_SAMPLE);
+
+    el('iv-file').textContent = `${fileName || ''} · ${report.rows.profiles} profiles · ${report.rows.accessories} accessories`;
+    el('iv-headline').innerHTML = report.ok
+      ? `<span class="iv-warning">${report.warnings} warning(s)</span> — review them before publishing.`
+      : `<span class="iv-error">${report.errors} error(s)</span> and <span class="iv-warning">${report.warnings} warning(s)</span> — errors must be fixed in the workbook before it can be published.`;
+    el('iv-summary').innerHTML = '<thead><tr><th>Check</th><th>Severity</th><th>Count</th></tr></thead><tbody>'
+      + Object.entries(report.summary).map(([rule, count]) => `<tr><td>${esc(rules[rule]?.label || rule)}</td>`
+        + `<td class="iv-${rules[rule]?.severity}">${rules[rule]?.severity}</td><td>${count}</td></tr>`).join('')
+      + '</tbody>';
+    el('iv-issues-title').textContent = report.issues.length > shown.length
+      ? `Issues (first ${shown.length} of ${report.issues.length} — download the report for all)`
+      : 'Issues';
+    el('iv-issues').innerHTML = `<table class="iw-table">
+      <thead><tr><th></th><th>Sheet</th><th>Row</th><th>Code</th><th>Field</th><th>Value</th><th>Check</th></tr></thead>
+      <tbody>${shown.map(i => `<tr><td class="iv-${i.severity}">${i.severity === 'error' ? '✖' : '⚠'}</td>`
+        + `<td>${esc(sheetLabel[i.sheet] || i.sheet)}</td><td>${esc(i.row)}</td><td>${esc(i.code)}</td><td>${esc(i.field)}</td>`
+        + `<td>${esc(i.value)}</td><td>${esc(rules[i.rule]?.label || i.rule)}${i.message ? ` — ${esc(i.message)}` : ''}</td></tr>`).join('')}</tbody>
+    </table>`;
+
+    const ack = el('iv-ack');
+    const ackRow = el('iv-ack-row');
+    const publish = el('iv-publish');
+    ack.checked = false;
+    ackRow.classList.toggle('hidden', !report.ok);
+    ackRow.classList.toggle('flex', report.ok);
+    publish.disabled = true;
+    publish.title = report.ok ? '' : 'Fix the errors before publishing';
+
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+
+    return new Promise(resolve => {
+      const onAck = () => { publish.disabled = !(report.ok && ack.checked); };
+      const onDownload = () => ImportValidation.download(report, fileName);
+      const done = (result) => {
+        ack.removeEventListener('change', onAck);
+        el('iv-download').removeEventListener('click', onDownload);
+        el('iv-cancel').removeEventListener('click', onCancel);
+        publish.removeEventListener('click', onPublish);
+        overlay.classList.add('hidden');
+        overlay.setAttribute('aria-hidden', 'true');
+        resolve(result);
+      };
+      const onCancel = () => done(false);
+      const onPublish = () => { if (report.ok && ack.checked) done(true); };
+
+      ack.addEventListener('change', onAck);
+      el('iv-download').addEventListener('click', onDownload);
+      el('iv-cancel').addEventListener('click', onCancel);
+      publish.addEventListener('click', onPublish);
+    });
+  }
+
+  /**
+   * Records every client reads now (js/inventory-data.js), with their version
+   */
+  async loadPublishedRecords() {
+    if (!window.InventoryData) throw new Error('Inventory data layer not loaded');
+    await InventoryData.init();
+    const current = InventoryData.get();
+    if (current.error && !current.loadedAt) throw current.error;
+    return { profiles: current.records.profiles, accessories: current.records.accessories, version: current.version };
+  }
+
+  /**
+   * Compare the mapped records with the published inventory (#inventory-diff-overlay in admin.html).
+   * Resolves with { changelog, changes } to publish, {} when js/inventory-diff.js is not loaded,
+   * or null when cancelled
+   */
+  async reviewChanges(data) {
+    const overlay = document.getElementById('inventory-diff-overlay');
+    if (!overlay || !window.InventoryDiff) return {};
+
+    const el = (id) => document.getElementById(id);
+    const esc = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const labels = InventoryDiff.SHEET_LABEL;
+    const fileName = data.fileName || '';
+    let diff = null;
+    let published = null;
+
+    this.setUploadStatus('processing', 'Comparing with the published version...');
+    try {
+      published = await this.loadPublishedRecords();
+      diff = InventoryDiff.compare(published, data);
+    } catch (error) {
+      console.warn('⚠️ Could not compare with the published version:', error);
+    }
+
+    el('diff-file').textContent = `${fileName} vs published version ${published?.version ?? '—'}`;
+    el('diff-changelog').value = '';
+    el('diff-export').disabled = !diff;
+
+    if (!diff) {
+      el('diff-summary').innerHTML = '';
+      el('diff-details').innerHTML = '<p class="text-sm text-amber-400">Could not load the published version, changes cannot be shown.</p>';
+    } else {
+      const summary = InventoryDiff.summarize(diff);
+      el('diff-summary').innerHTML = '<thead><tr><th>Sheet</th><th>Rows</th><th>Added</th><th>Removed</th><th>Changed</th></tr></thead><tbody>'
+        + InventoryDiff.KINDS.map(kind => `<tr><td>${labels[kind]}</td><td>${diff[kind].before} → ${diff[kind].after}</td>`
+          + `<td class="text-green-400">${summary[kind].added}</td><td class="text-red-400">${summary[kind].removed}</td>`
+          + `<td class="text-amber-400">${summary[kind].changed}</td></tr>`).join('')
+        + '</tbody>';
+
+      if (!diff.profiles.before && !diff.accessories.before) {
+        el('diff-details').innerHTML = '<p class="text-sm text-gray-400">Nothing is published yet — every row is new.</p>';
+      } else if (InventoryDiff.isEmpty(diff)) {
+        el('diff-details').innerHTML = '<p class="text-sm text-gray-400">No differences with the published version.</p>';
+      } else {
+        const max = InventoryDiff.MAX_SAMPLE;
+        const codes = (type) => InventoryDiff.KINDS
+          .filter(kind => diff[kind][type].length)
+          .map(kind => `<p class="text-xs mb-1"><span class="text-gray-400">${labels[kind]}:</span> ${diff[kind][type].slice(0, max).map(i => esc(i.code)).join(', ')}`
+            + `${diff[kind][type].length > max ? ` … +${diff[kind][type].length - max}` : ''}</p>`).join('');
+        const changes = InventoryDiff.changes(diff);
+        el('diff-details').innerHTML = `
+          <h3 class="text-sm font-semibold text-green-400 mb-1">Added codes</h3>${codes('added') || '<p class="text-xs text-gray-500 mb-1">None</p>'}
+          <h3 class="text-sm font-semibold text-red-400 mt-3 mb-1">Removed codes</h3>${codes('removed') || '<p class="text-xs text-gray-500 mb-1">None</p>'}
+          <h3 class="text-sm font-semibold text-amber-400 mt-3 mb-1">Changed fields${changes.length > max ? ` (first ${max} of ${changes.length} — export for all)` : ''}</h3>
+          ${changes.length ? `<table class="iw-table"><thead><tr><th>Sheet</th><th>Code</th><th>Field</th><th>Published</th><th>New</th></tr></thead><tbody>`
+            + changes.slice(0, max).map(c => `<tr><td>${labels[c.kind]}</td><td>${esc(c.code)}</td><td>${esc(c.field)}</td>`
+              + `<td>${esc(c.from)}</td><td>${esc(c.to)}</td></tr>`).join('') + '</tbody></table>'
+            : '<p class="text-xs text-gray-500">None</p>'}`;
+      }
+    }
+
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+
+    return new Promise(resolve => {
+      const onExport = () => {
+        try {
+          InventoryDiff.exportExcel(diff, { fileName, fromVersion: published?.version });
+        } catch (error) {
+          alert(`Export failed: ${error.message}`);
+        }
+      };
+      const done = (result) => {
+        el('diff-export').removeEventListener('click', onExport);
+        el('diff-cancel').removeEventListener('click', onCancel);
+        el('diff-publish').removeEventListener('click', onPublish);
+        overlay.classList.add('hidden');
+        overlay.setAttribute('aria-hidden', 'true');
+        resolve(result);
+      };
+      const onCancel = () => done(null);
+      const onPublish = () => done({
+        changelog: el('diff-changelog').value.trim(),
+        changes: diff ? InventoryDiff.summarize(diff) : null
+      });
+
+      el('diff-export').addEventListener('click', onExport);
+      el('diff-cancel').addEventListener('click', onCancel);
+      el('diff-publish').addEventListener('click', onPublish);
+    });
+  }
+
+  /**
+   * Publish data to the organization's inventory source (tables and / or the published workbook):
+   * validation report, then the changes against the published version, then the write.
+   * Resolves with { success }, { success: false, cancelled: true } or { success: false, error }
    */
   async publishToDatabase() {
-    if (this.isUploading) return;
+    if (this.isUploading) return { success: false, error: new Error('A publish is already running') };
 
     try {
       this.isUploading = true;
@@ -426,97 +609,156 @@ class AlumilExcelUploader {
       const { data: { user } } = await this.supabase.auth.getUser();
       if (!user) throw new Error('User not authenticated');
 
-      // Get data from localStorage
-      const cachedData = JSON.parse(localStorage.getItem('excelCache') || '{}');
-      if (!cachedData.profiles && !cachedData.accessories) {
+      // Data confirmed in the import wizard (excelCache only holds the data layer's meta)
+      const cachedData = this.pendingData;
+      if (!cachedData || (!cachedData.profiles && !cachedData.accessories)) {
         throw new Error('No data to publish. Please upload an Excel file first.');
       }
+      cachedData.profiles = cachedData.profiles || [];
+      cachedData.accessories = cachedData.accessories || [];
+
+      // Nothing is written until the validation report is clean or its warnings are acknowledged
+      this.setUploadStatus('processing', 'Validating data before publishing...');
+      const report = await this.validateForPublish(cachedData);
+      if (report && !report.ok) {
+        this.setUploadStatus('error', `Publishing blocked: ${report.errors} validation error(s). Download the report, fix the workbook and upload it again.`);
+        return { success: false, error: new Error(`Publishing blocked: ${report.errors} validation error(s)`) };
+      }
+      if (report === null) {
+        this.setUploadStatus('info', 'Publishing cancelled.');
+        return { success: false, cancelled: true };
+      }
+
+      // What changes for every client; the changelog entry and the summary are stored with the version
+      const review = await this.reviewChanges(cachedData);
+      if (review === null) {
+        this.setUploadStatus('info', 'Publishing cancelled.');
+        return { success: false, cancelled: true };
+      }
+      this.setUploadStatus('uploading', 'Publishing data to database...');
 
       // Prepare data for database
-      const profilesData = cachedData.profiles.map(item => {
-        const { code, description, length, color, alloy, system, warehouse_no, rack_no, quantity, unit, ...additionalData } = item;
-        return {
-          code,
-          description,
-          length,
-          color,
-          alloy,
-          system,
-          warehouse_no,
-          rack_no,
-          quantity,
-          unit,
-          additional_data: additionalData, // Store extra columns in JSONB field
-          organization_id: this.orgId,
-          updated_at: new Date().toISOString()
-        };
-      });
+      const { profiles: profilesData, accessories: accessoriesData } = this.toTableRows(cachedData);
 
-      const accessoriesData = cachedData.accessories.map(item => {
-        const { code, description, unit, category, warehouse_no, rack_no, quantity, ...additionalData } = item;
-        return {
-          code,
-          description,
-          unit,
-          category,
-          warehouse_no,
-          rack_no,
-          quantity,
-          additional_data: additionalData, // Store extra columns in JSONB field
-          organization_id: this.orgId,
-          updated_at: new Date().toISOString()
-        };
-      });
+      // Clients read the tables unless the organization's source is a workbook (js/inventory-data.js)
+      const source = window.InventoryData ? InventoryData.getSource() : 'tables';
+      const writeTables = source === 'tables' || !window.InventoryStateManager;
+
+      if (writeTables) {
+        await this.writeTables({ profiles: profilesData, accessories: accessoriesData });
+      }
 
-      // Check if we have the inventory state manager available
+      // The workbook is published as a new version either way: it is the version history, and the
+      // version bump tells every client to reload
       if (window.InventoryStateManager) {
         const inventoryManager = new window.InventoryStateManager(this.supabase, this.orgId);
         
-        // Use the inventory state manager to upload the Excel file
-        await inventoryManager.uploadExcelFile(
-          new Blob([cachedData.rawExcelData], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
-          cachedData.fileName || 'inventory_data.xlsx',
-          true // Force an update even if the data hasn't changed
-        );
-
-        // Record upload history using the inventory state
-        await this.recordUploadHistory(user.id, cachedData, profilesData.length, accessoriesData.length);
-        
-        this.setUploadStatus('success',
-          `✅ Data published successfully through Inventory State Manager! ${profilesData.length} profiles and ${accessoriesData.length} accessories are now available to all users.`
-        );
-      } else {
-        // Fall back to the old method if inventory state manager isn't available
-        console.warn('InventoryStateManager not available, falling back to direct database upload');
-        
-        // Upload in batches to avoid timeout
-        if (profilesData.length > 0) {
-          await this.uploadInBatches('inventory_profiles', profilesData);
-        }
-
-        if (accessoriesData.length > 0) {
-          await this.uploadInBatches('inventory_accessories', accessoriesData);
+        // Publish the workbook already stored on upload; files only cached locally are uploaded again
+        const version = { changelog: review.changelog || null, changes: review.changes || null, mapping: cachedData.mapping || null };
+        if (cachedData.storagePath) {
+          await inventoryManager.publishStoredFile(cachedData.storagePath, version);
+        } else if (cachedData.rawExcelData) {
+          await inventoryManager.uploadAndPublish(new File(
+            [cachedData.rawExcelData],
+            cachedData.fileName || 'inventory_data.xlsx',
+            { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+          ), version);
+        } else {
+          throw new Error('The original Excel file is not available. Please upload it again.');
         }
+      } else {
+        console.warn('InventoryStateManager not available, published to the database tables only');
+      }
 
-        // Record upload history
-        await this.recordUploadHistory(user.id, cachedData, profilesData.length, accessoriesData.length);
+      // Record upload history
+      await this.recordUploadHistory(user.id, cachedData, profilesData.length, accessoriesData.length);
 
-        this.setUploadStatus('success', 
-          `✅ Data published successfully! ${profilesData.length} profiles and ${accessoriesData.length} accessories are now available to all users.`
-        );
-      }
+      this.setUploadStatus('success', 
+        `✅ Data published successfully${writeTables ? '' : ' as the inventory workbook'}! ${profilesData.length} profiles and ${accessoriesData.length} accessories are now available to all users.`
+      );
 
       // No need to call broadcastDataUpdate() here as the InventoryStateManager 
       // will handle notifying all clients through Supabase Realtime
+      return { success: true };
 
     } catch (error) {
       console.error('Database upload error:', error);
       this.setUploadStatus('error', `Failed to publish data: ${error.message}`);
+      return { success: false, error };
     } finally {
       this.isUploading = false;
     }
   }
 
+  /**
+   * Rows for inventory_profiles / inventory_accessories; extra columns go to additional_data
+   */
+  toTableRows(data) {
+    const profiles = data.profiles.map(item => {
+      const { code, description, length, color, alloy, system, warehouse_no, rack_no, quantity, unit, ...additionalData } = item;
+      return {
+        code,
+        description,
+        length,
+        color,
+        alloy,
+        system,
+        warehouse_no,
+        rack_no,
+        quantity,
+        unit,
+        additional_data: additionalData, // Store extra columns in JSONB field
+        organization_id: this.orgId,
+        updated_at: new Date().toISOString()
+      };
+    });
+
+    const accessories = data.accessories.map(item => {
+      const { code, description, unit, category, warehouse_no, rack_no, quantity, ...additionalData } = item;
+      return {
+        code,
+        description,
+        unit,
+        category,
+        warehouse_no,
+        rack_no,
+        quantity,
+        additional_data: additionalData, // Store extra columns in JSONB field
+        organization_id: this.orgId,
+        updated_at: new Date().toISOString()
+      };
+    });
+
+    return { profiles, accessories };
+  }
+
+  /**
+   * Replace the organization's rows in inventory_profiles / inventory_accessories
+   */
+  async writeTables(rows) {
+    // Upload in batches to avoid timeout
+    if (rows.profiles.length > 0) {
+      await this.uploadInBatches('inventory_profiles', rows.profiles);
+    }
+
+    if (rows.accessories.length > 0) {
+      await this.uploadInBatches('inventory_accessories', rows.accessories);
+    }
+  }
+
+  /**
+   * Write a stored workbook (version history entry of js/inventory-state-manager.js) to the tables,
+   * read with the column mapping published with it
+   */
+  async writeTablesFromStoredFile(entry, manager) {
+    this.setUploadStatus('uploading', `Reading ${entry.file_name || entry.storage_path}...`);
+    const buf = await manager.downloadArrayBuffer(await manager.getSignedUrl(entry.storage_path));
+    const data = this.processWorkbook(this.readWorkbook(buf), entry.file_name || entry.storage_path, entry.mapping || null);
+    await this.writeTables(this.toTableRows(data));
+    this.setUploadStatus('success', `${data.profiles.length} profiles and ${data.accessories.length} accessories written from ${data.fileName}.`);
+    return data;
+  }
+
   /**
    * Upload data in batches to avoid Supabase limits - UNLIMITED BATCHES
    */
@@ -563,7 +805,9 @@ class AlumilExcelUploader {
         profiles_count: profilesCount,
         accessories_count: accessoriesCount,
         upload_status: 'completed',
-        notes: `Uploaded via admin panel`
+        notes: cachedData.mappingName
+          ? `Uploaded via admin panel (column mapping: ${cachedData.mappingName})`
+          : `Uploaded via admin panel`
       });
 
     if (error) {
@@ -572,18 +816,43 @@ class AlumilExcelUploader {
   }
 
   /**
-   * Clear local data
+   * Discard the loaded workbook that has not been published yet
    */
   clearData() {
-    if (confirm('Are you sure you want to clear the local data? This will not affect the published database.')) {
-      localStorage.removeItem('excelCache');
-      this.updateUI({ profiles: [], accessories: [] }, '');
-      this.setUploadStatus('info', 'Local data cleared.');
+    if (confirm('Are you sure you want to discard the loaded file? This will not affect the published database.')) {
+      this.pendingData = null;
+      this.loadExistingData();
+      this.setUploadStatus('info', 'Loaded file discarded.');
     }
   }
 
 
 
+  /**
+   * Show counts for the inventory already loaded by the data layer
+   */
+  loadExistingData() {
+    try {
+      const cached = window.InventoryData ? InventoryData.get() : JSON.parse(localStorage.getItem('excelCache') || '{}');
+      this.updateUI({ profiles: cached.profiles || [], accessories: cached.accessories || [] }, cached.fileName || '');
+    } catch (error) {
+      console.warn('Could not read cached Excel data:', error);
+    }
+  }
+
+  /**
+   * Update counts, status dots and file name in the data management modal
+   */
+  updateUI(data, fileName) {
+    const profiles = data?.profiles?.length || 0;
+    const accessories = data?.accessories?.length || 0;
+    this.updateElement('count-profiles', `${profiles} items`);
+    this.updateElement('count-accessories', `${accessories} items`);
+    this.updateElement('file-name-display', `File name: ${fileName || '—'}`);
+    this.updateStatusDots(profiles > 0, accessories > 0);
+    document.getElementById('data-status')?.classList.toggle('hidden', !fileName);
+  }
+
   /**
    * Update element text content safely
    */
@@ -0,0 +1,194 @@
+// Typo-tolerant item search (AlumilDataService.searchProfiles / searchAccessories,
+// search-inventory.html suggestions, the label pages' autocomplete)
+//   - every query word has to match a word of the item, in any order: exact, prefix,
+//     substring or within a small edit distance ("strutural" -> "structural")
+//   - codes are compared without dashes / spaces / letter prefix / leading zeros,
+//     so "012598", "12598" and "pr 012598" all find PR-012598ABX
+// Results are ranked by relevance. Prepared words are cached per rows array, so repeated
+// keystrokes against the same data only pay for the matching.
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        LIMIT: 50,
+        MIN_SUBSTRING: 3,
+        SCORE: {
+            codeExact: 1000,
+            codePrefix: 700,
+            codeContains: 450,
+            exact: 100,
+            prefix: 70,
+            contains: 45,
+            fuzzy: 40
+        }
+    };
+
+    function s(v) {
+        return v == null ? '' : String(v);
+    }
+
+    // Lower case, accents removed
+    function normalize(v) {
+        return s(v).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+    }
+
+    function words(v) {
+        return normalize(v).split(/[^a-z0-9]+/).filter(Boolean);
+    }
+
+    // "PR-012598 ABX" -> ["pr012598abx", "012598abx", "12598abx"]
+    function codeForms(v) {
+        const c = normalize(v).replace(/[^a-z0-9]/g, '');
+        if (!c) return [];
+        const bare = c.replace(/^[a-z]+(?=\d)/, '');
+        const digits = bare.replace(/^0+(?=\d)/, '');
+        return Array.from(new Set([c, bare, digits]));
+    }
+
+    // Edit distance with transpositions, or max + 1 as soon as it exceeds max
+    function distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prev2 = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const cur = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+                if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d = Math.min(d, prev2[j - 2] + 1);
+                }
+                cur[j] = d;
+                if (d < rowMin) rowMin = d;
+            }
+            if (rowMin > max) return max + 1;
+            prev2 = prev;
+            prev = cur;
+        }
+        return prev[b.length];
+    }
+
+    // Typos allowed for a query word of this length
+    function allowedTypos(len) {
+        return len >= 8 ? 2 : len >= 4 ? 1 : 0;
+    }
+
+    // Match score of one query word against one word of an item (0 = no match)
+    function matchWord(q, w, typos) {
+        const sc = CONFIG.SCORE;
+        if (w === q) return sc.exact;
+        if (w.startsWith(q)) return sc.prefix;
+        if (q.length >= CONFIG.MIN_SUBSTRING && w.includes(q)) return sc.contains;
+        if (!typos) return 0;
+        // Whole word, or the start of a longer word while still typing
+        let d = distance(q, w, typos);
+        if (d > typos && w.length > q.length) d = distance(q, w.slice(0, q.length), typos);
+        return d <= typos ? sc.fuzzy - 10 * d : 0;
+    }
+
+    /* ---------- Prepared rows ---------- */
+
+    // rows array -> { sig, vocab, items }; words are stored as ids into vocab, so each
+    // query word is compared once per distinct word instead of once per row
+    const prepared = new WeakMap();
+
+    function prepare(rows, opts) {
+        const codeFields = opts.codeFields || ['code'];
+        const fields = Object.entries(opts.fields || { description: 1 });
+        const sig = JSON.stringify([codeFields, fields]);
+        const cached = prepared.get(rows);
+        if (cached && cached.sig === sig) return cached;
+
+        const vocab = [];
+        const ids = new Map();
+        const idsOf = (v) => words(v).map(w => {
+            if (!ids.has(w)) {
+                ids.set(w, vocab.length);
+                vocab.push(w);
+            }
+            return ids.get(w);
+        });
+
+        const items = rows.map(row => ({
+            row,
+            codes: [].concat(...codeFields.map(f => codeForms(row?.[f]))),
+            codeWords: [].concat(...codeFields.map(f => idsOf(row?.[f]))),
+            fields: fields.map(([f, weight]) => ({ weight, words: idsOf(row?.[f]) }))
+        }));
+        const entry = { sig, vocab, items };
+        prepared.set(rows, entry);
+        return entry;
+    }
+
+    function codeScore(item, queryCodes) {
+        const sc = CONFIG.SCORE;
+        let code = 0;
+        for (const qc of queryCodes) {
+            for (const c of item.codes) {
+                if (c === qc) return sc.codeExact;
+                if (c.startsWith(qc)) code = Math.max(code, sc.codePrefix);
+                else if (qc.length >= CONFIG.MIN_SUBSTRING && c.includes(qc)) code = Math.max(code, sc.codeContains);
+            }
+        }
+        return code;
+    }
+
+    function best(list, scores) {
+        let out = 0;
+        for (const id of list) if (scores[id] > out) out = scores[id];
+        return out;
+    }
+
+    // Every query word must match somewhere (any order); code matches count on their own
+    function scoreItem(item, wordScores, queryCodes) {
+        const code = queryCodes.length ? codeScore(item, queryCodes) : 0;
+        let total = 0;
+        for (const scores of wordScores) {
+            let top = best(item.codeWords, scores) * 2;
+            for (const f of item.fields) top = Math.max(top, best(f.words, scores) * f.weight);
+            if (!top) return code;
+            total += top;
+        }
+        return code + total;
+    }
+
+    /**
+     * Rank rows for a query.
+     * opts.codeFields: code columns (default ['code']); opts.fields: { column: weight } for the
+     * text columns (default { description: 1 }); opts.limit (default 50, 0 = no limit)
+     */
+    function search(rows, query, opts = {}) {
+        const list = Array.isArray(rows) ? rows : [];
+        const queryWords = words(query);
+        if (!queryWords.length) return [];
+
+        // A code-like query ("PR-0125", "012598") is also matched against the compacted codes
+        const queryCodes = /\d/.test(query) ? codeForms(query) : [];
+
+        const { vocab, items } = prepare(list, opts);
+        const wordScores = queryWords.map(q => {
+            const typos = allowedTypos(q.length);
+            return Float32Array.from(vocab, w => matchWord(q, w, typos));
+        });
+
+        const limit = opts.limit === undefined ? CONFIG.LIMIT : opts.limit;
+        const hits = [];
+        for (const item of items) {
+            const score = scoreItem(item, wordScores, queryCodes);
+            if (score > 0) hits.push({ row: item.row, score });
+        }
+        hits.sort((a, b) => b.score - a.score);
+        return (limit ? hits.slice(0, limit) : hits).map(h => h.row);
+    }
+
+    window.FuzzySearch = {
+        normalize,
+        words,
+        codeForms,
+        distance,
+        search
+    };
+
+})();
@@ -0,0 +1,298 @@
+// Column mapping for Excel imports (used by AlumilExcelUploader and the import wizard)
+// A mapping picks the source sheet for profiles / accessories and, per target field, the
+// header text of the source column:
+//   { profiles: { sheet: 'Profiles', columns: { code: 'Item Code', die_code: 'Die', ... } },
+//     accessories: { sheet: 'Accessories', columns: { ... } } }
+// Columns are stored by header text so a saved mapping survives reordered columns.
+// Named mappings are shared by the organization's admins (import_mappings table, see
+// import_mappings_schema.sql) and cached in localStorage; sync() refreshes the cache.
+
+(function() {
+    'use strict';
+
+    const { getClient, orgId, s } = window.AlumilCommon;
+
+    const CONFIG = {
+        TABLE: 'import_mappings',
+        STORAGE_KEY: 'alumil:importMappings',
+        LAST_KEY: 'alumil:importMapping:last',
+        PREVIEW_ROWS: 5,
+        SHEET_PATTERNS: {
+            profiles: ['profiles', 'profile', 'prof'],
+            accessories: ['accessories', 'accessory', 'acc']
+        }
+    };
+
+    const sides = [1, 2, 3, 4].map(n => ({
+        key: `side_${n}`, label: `Side ${n}`, aliases: [`side ${n}`, `sides ${n}`]
+    }));
+    const polyamides = [1, 2, 3, 4, 5, 6].map(n => ({
+        key: `polyamide_${n}`, label: `Polyamide ${n}`, aliases: [`polyamide ${n}`, `poly ${n}`, `pa ${n}`]
+    }));
+
+    // Target fields per sheet; `number` fields are parsed, `def` is used for empty cells
+    const TARGETS = {
+        profiles: [
+            { key: 'code', label: 'Code', required: true, aliases: ['code', 'item code', 'profile code', 'itemcode', 'code no'] },
+            { key: 'description', label: 'Description', required: true, aliases: ['description', 'desc', 'name', 'profile description', 'discription'] },
+            { key: 'profile_title', label: 'Profile title', aliases: ['profile title', 'title'] },
+            { key: 'system', label: 'System', aliases: ['system', 'system name'] },
+            { key: 'alloy', label: 'Alloy', aliases: ['alloy', 'alloy temper', 'material'] },
+            { key: 'finish', label: 'Finish', aliases: ['finish', 'surface', 'surface finish', 'treatment'] },
+            { key: 'color', label: 'Color', aliases: ['color', 'colour'] },
+            { key: 'length', label: 'Length', number: true, aliases: ['length', 'len', 'supported length', 'profile length'] },
+            { key: 'die_code', label: 'Die code', aliases: ['die code', 'die', 'die no', 'die number', 'matrix', 'matrix code'] },
+            { key: 'status', label: 'Status', aliases: ['status', 'inventory', 'profile status'] },
+            { key: 'warehouse_no', label: 'Warehouse', aliases: ['warehouse', 'warehouse no', 'warehouse number', 'wh no'] },
+            { key: 'rack_no', label: 'Rack', aliases: ['rack', 'rack no', 'rack number', 'rack code'] },
+            { key: 'quantity', label: 'Quantity', number: true, def: 0, aliases: ['quantity', 'qty'] },
+            { key: 'unit', label: 'Unit', def: 'pcs', aliases: ['unit', 'uom'] },
+            { key: 'image', label: 'Image URL', aliases: ['image url', 'image', 'photo', 'picture'] },
+            ...sides,
+            ...polyamides
+        ],
+        accessories: [
+            { key: 'code', label: 'Code', required: true, aliases: ['code', 'item code', 'accessory code', 'itemcode', 'sku'] },
+            { key: 'description', label: 'Description', required: true, aliases: ['description', 'desc', 'name', 'item description'] },
+            { key: 'category', label: 'Category / type', aliases: ['category', 'type', 'accessory type'] },
+            { key: 'status', label: 'Status', aliases: ['status'] },
+            { key: 'warehouse_no', label: 'Warehouse', aliases: ['warehouse', 'warehouse no', 'warehouse number', 'wh no'] },
+            { key: 'rack_no', label: 'Rack', aliases: ['rack', 'rack no', 'rack number', 'rack code'] },
+            { key: 'quantity', label: 'Quantity', number: true, def: 0, aliases: ['quantity', 'qty'] },
+            { key: 'unit', label: 'Unit', def: 'pcs', aliases: ['unit', 'uom'] },
+            { key: 'image', label: 'Image URL', aliases: ['image url', 'image', 'photo', 'picture'] }
+        ]
+    };
+
+    // "Side_1", "SIDE-1", "Side 1" -> "side 1"
+    function norm(header) {
+        return s(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    function compact(header) {
+        return norm(header).replace(/ /g, '');
+    }
+
+    // Sheet whose name matches the kind, or null (no silent fallback)
+    function detectSheet(workbook, kind) {
+        const names = workbook?.SheetNames || [];
+        for (const pattern of CONFIG.SHEET_PATTERNS[kind] || []) {
+            const found = names.find(name => name.toLowerCase().includes(pattern));
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // { headers, rows } with the first row as headers (all cells as text)
+    function readWorksheet(ws) {
+        if (!ws) return { headers: [], rows: [] };
+        const raw = XLSX.utils.sheet_to_json(ws, { defval: '', raw: false, header: 1 });
+        const headers = (raw[0] || []).map(h => s(h));
+        return { headers, rows: raw.slice(1) };
+    }
+
+    function readSheet(workbook, sheetName) {
+        return readWorksheet(sheetName ? workbook?.Sheets?.[sheetName] : null);
+    }
+
+    // Best guess for every target field from the header aliases
+    function autoMap(headers, kind) {
+        const columns = {};
+        const used = new Set();
+        (TARGETS[kind] || []).forEach(t => {
+            const wanted = t.aliases.map(compact);
+            const header = headers.find(h => h && !used.has(h) && wanted.includes(compact(h)));
+            if (header) {
+                columns[t.key] = header;
+                used.add(header);
+            }
+        });
+        return columns;
+    }
+
+    // Saved columns that no longer exist in the sheet are dropped; gaps are auto-filled
+    function resolve(headers, kind, saved) {
+        const columns = {};
+        Object.entries(saved || {}).forEach(([key, header]) => {
+            if (header && headers.includes(header)) columns[key] = header;
+        });
+        const guessed = autoMap(headers.filter(h => !Object.values(columns).includes(h)), kind);
+        Object.entries(guessed).forEach(([key, header]) => {
+            if (!(key in columns)) columns[key] = header;
+        });
+        return columns;
+    }
+
+    // Required fields without a column
+    function missing(kind, columns) {
+        return (TARGETS[kind] || []).filter(t => t.required && !columns?.[t.key]).map(t => t.label);
+    }
+
+    function parseNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const num = parseFloat(value);
+        return isNaN(num) ? null : num;
+    }
+
+    function sanitizeFieldName(fieldName) {
+        return String(fieldName)
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '_')
+            .replace(/_{2,}/g, '_')
+            .replace(/^_|_$/g, '');
+    }
+
+    // Rows -> records: mapped fields first, every unmapped column kept as a custom field.
+    // Number fields keep non-numeric text as-is so js/import-validation.js can report it;
+    // the sheet row number is attached as a non-enumerable `sourceRow` (not published).
+    function apply(sheet, kind, columns, opts = {}) {
+        const headers = sheet.headers || [];
+        const targets = TARGETS[kind] || [];
+        const index = {};
+        targets.forEach(t => { index[t.key] = columns?.[t.key] ? headers.indexOf(columns[t.key]) : -1; });
+        const mapped = new Set(Object.values(index).filter(i => i >= 0));
+        const known = new Set(targets.map(t => t.key).concat(opts.reserved || []));
+        const rows = opts.limit ? sheet.rows.slice(0, opts.limit) : sheet.rows;
+
+        return rows.map((row, i) => {
+            const rec = {};
+            Object.defineProperty(rec, 'sourceRow', { value: i + 2 });
+            targets.forEach(t => {
+                const v = index[t.key] >= 0 ? row[index[t.key]] : '';
+                if (t.number) rec[t.key] = parseNumber(v) ?? (s(v) || (t.def ?? null));
+                else rec[t.key] = s(v) || (t.def ?? '');
+            });
+            headers.forEach((header, col) => {
+                if (!header || mapped.has(col) || row[col] === undefined || row[col] === '') return;
+                const field = sanitizeFieldName(header);
+                if (field && !known.has(field) && !(field in rec)) rec[field] = s(row[col]);
+            });
+            return rec;
+        }).filter(rec => opts.limit || rec.code);
+    }
+
+    /* ---------- Named mappings ---------- */
+
+    function readAll() {
+        try {
+            const obj = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '{}');
+            return obj && typeof obj === 'object' ? obj : {};
+        } catch {
+            return {};
+        }
+    }
+
+    function writeAll(obj) {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(obj));
+            return true;
+        } catch (e) {
+            console.warn('Import mapping storage failed', e);
+            return false;
+        }
+    }
+
+    function list() {
+        return Object.keys(readAll()).sort((a, b) => a.localeCompare(b));
+    }
+
+    function get(name) {
+        return readAll()[name] || null;
+    }
+
+    /**
+     * Replace the cached mappings with the organization's; keeps the cache when offline
+     */
+    async function sync() {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        const { data, error } = await sb
+            .from(CONFIG.TABLE)
+            .select('name, mapping, updated_at')
+            .eq('organization_id', orgId());
+        if (error) {
+            console.warn('⚠️ Import mappings could not be loaded, using cached ones:', error.message || error);
+            return { success: false, error };
+        }
+        const all = {};
+        (data || []).forEach(row => {
+            all[row.name] = { ...row.mapping, savedAt: row.updated_at };
+        });
+        writeAll(all);
+        return { success: true };
+    }
+
+    async function save(name, mapping) {
+        const clean = s(name);
+        if (!clean) return { success: false, error: new Error('Mapping name is required') };
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+
+        const entry = {
+            profiles: mapping?.profiles || null,
+            accessories: mapping?.accessories || null
+        };
+        const { data: { user } } = await sb.auth.getUser();
+        const { error } = await sb
+            .from(CONFIG.TABLE)
+            .upsert({
+                organization_id: orgId(),
+                name: clean,
+                mapping: entry,
+                updated_by: user?.id || null,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'organization_id,name' });
+        if (error) return { success: false, error };
+
+        const all = readAll();
+        all[clean] = { ...entry, savedAt: new Date().toISOString() };
+        writeAll(all);
+        setLast(clean);
+        return { success: true, name: clean };
+    }
+
+    async function remove(name) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        const { error } = await sb
+            .from(CONFIG.TABLE)
+            .delete()
+            .eq('organization_id', orgId())
+            .eq('name', name);
+        if (error) return { success: false, error };
+
+        const all = readAll();
+        delete all[name];
+        writeAll(all);
+        if (getLast() === name) localStorage.removeItem(CONFIG.LAST_KEY);
+        return { success: true };
+    }
+
+    function getLast() {
+        return localStorage.getItem(CONFIG.LAST_KEY) || '';
+    }
+
+    function setLast(name) {
+        if (name) localStorage.setItem(CONFIG.LAST_KEY, name);
+    }
+
+    window.ImportMapping = {
+        TARGETS,
+        PREVIEW_ROWS: CONFIG.PREVIEW_ROWS,
+        detectSheet,
+        readWorksheet,
+        readSheet,
+        autoMap,
+        resolve,
+        missing,
+        apply,
+        list,
+        get,
+        sync,
+        save,
+        remove,
+        getLast,
+        setLast
+    };
+
+})();
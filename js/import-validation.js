@@ -0,0 +1,175 @@
+// Pre-publish validation for uploaded inventory workbooks (used by AlumilExcelUploader.publishToDatabase)
+// Checks the mapped records of both sheets and returns a report of issues:
+//   error   – blocks publishing (duplicate codes, empty descriptions, #ERROR! in a mapped field,
+//             non-numeric quantity / length, PR- / EX- code in the wrong sheet)
+//   warning – publishing needs an acknowledgement (unknown warehouses, malformed image URLs,
+//             spreadsheet errors in extra columns, profile codes without PR-, warehouse numbers
+//             that could not be checked because no warehouses are set up)
+// The report can be downloaded as CSV.
+
+(function() {
+    'use strict';
+
+    const { s } = window.AlumilCommon;
+
+    const CONFIG = {
+        // Spreadsheet error literals (Excel / Google Sheets)
+        ERROR_LITERAL: /^#(ERROR!|REF!|VALUE!|N\/A|NAME\?|DIV\/0!|NUM!|NULL!|SPILL!|CALC!|GETTING_DATA)$/i,
+        NUMERIC_FIELDS: ['quantity', 'length'],
+        IMAGE_FIELDS: ['image', 'image_url'],
+        PREFIX: {
+            profiles: 'PR-',
+            accessories: 'EX-'
+        },
+        MAX_SAMPLE: 200
+    };
+
+    const RULES = {
+        duplicate_code: { severity: 'error', label: 'Duplicate code' },
+        empty_description: { severity: 'error', label: 'Empty description' },
+        error_literal: { severity: 'error', label: 'Spreadsheet error value' },
+        error_literal_extra: { severity: 'warning', label: 'Spreadsheet error value (extra column)' },
+        non_numeric: { severity: 'error', label: 'Non-numeric quantity / length' },
+        prefix_mismatch: { severity: 'error', label: 'Code prefix does not match sheet' },
+        prefix_missing: { severity: 'warning', label: 'Profile code without PR- prefix' },
+        unknown_warehouse: { severity: 'warning', label: 'Unknown warehouse' },
+        warehouses_unchecked: { severity: 'warning', label: 'Warehouse numbers not checked' },
+        bad_image_url: { severity: 'warning', label: 'Malformed image URL' }
+    };
+
+    const SHEET_LABEL = { profiles: 'Profiles', accessories: 'Accessories' };
+
+    function isUrl(v) {
+        try {
+            const u = new URL(v);
+            return (u.protocol === 'http:' || u.protocol === 'https:') && !!u.hostname;
+        } catch {
+            return false;
+        }
+    }
+
+    // Fields that came from the mapping (everything else is an extra column)
+    function mappedFields(kind) {
+        const targets = window.ImportMapping?.TARGETS?.[kind];
+        return new Set(targets ? targets.map(t => t.key) : ['code', 'description', 'length', 'quantity', 'unit', 'warehouse_no', 'rack_no']);
+    }
+
+    function checkSheet(kind, records, opts, add) {
+        const mapped = mappedFields(kind);
+        const seen = new Map();
+        const other = kind === 'profiles' ? 'accessories' : 'profiles';
+
+        (records || []).forEach((rec, i) => {
+            const row = rec.sourceRow || i + 2;
+            const code = s(rec.code);
+            const at = { sheet: kind, row, code };
+
+            const key = code.toUpperCase();
+            if (key && seen.has(key)) {
+                add('duplicate_code', { ...at, field: 'code', value: code, message: `Also on row ${seen.get(key)}` });
+            } else {
+                seen.set(key, row);
+            }
+
+            if (!s(rec.description)) add('empty_description', { ...at, field: 'description', value: '' });
+
+            Object.entries(rec).forEach(([field, value]) => {
+                if (!CONFIG.ERROR_LITERAL.test(s(value))) return;
+                add(mapped.has(field) ? 'error_literal' : 'error_literal_extra', { ...at, field, value: s(value) });
+            });
+
+            CONFIG.NUMERIC_FIELDS.forEach(field => {
+                const v = rec[field];
+                if (v == null || v === '' || typeof v === 'number') return;
+                if (CONFIG.ERROR_LITERAL.test(s(v))) return;   // already reported
+                if (!Number.isFinite(Number(s(v).replace(',', '.')))) add('non_numeric', { ...at, field, value: s(v) });
+            });
+
+            const upper = code.toUpperCase();
+            if (upper.startsWith(CONFIG.PREFIX[other])) {
+                add('prefix_mismatch', { ...at, field: 'code', value: code, message: `${CONFIG.PREFIX[other]} codes belong on the ${SHEET_LABEL[other]} sheet` });
+            } else if (kind === 'profiles' && code && !upper.startsWith(CONFIG.PREFIX.profiles)) {
+                add('prefix_missing', { ...at, field: 'code', value: code });
+            }
+
+            const wh = s(rec.warehouse_no);
+            if (wh && opts.warehouses && !opts.warehouses.has(wh.toUpperCase())) {
+                add('unknown_warehouse', { ...at, field: 'warehouse_no', value: wh });
+            }
+
+            CONFIG.IMAGE_FIELDS.forEach(field => {
+                const v = s(rec[field]);
+                if (v && !CONFIG.ERROR_LITERAL.test(v) && !isUrl(v)) add('bad_image_url', { ...at, field, value: v });
+            });
+        });
+    }
+
+    // data: { profiles, accessories }; opts.warehouses: known warehouse codes (when empty the
+    // check is skipped and reported as one warning)
+    function validate(data, opts = {}) {
+        const issues = [];
+        const known = (opts.warehouses || []).map(w => s(w).toUpperCase()).filter(Boolean);
+        const o = { warehouses: known.length ? new Set(known) : null };
+        const add = (rule, issue) => issues.push({ rule, severity: RULES[rule].severity, message: '', ...issue });
+
+        checkSheet('profiles', data?.profiles, o, add);
+        checkSheet('accessories', data?.accessories, o, add);
+
+        const located = ['profiles', 'accessories'].reduce((n, kind) => n + (data?.[kind] || []).filter(rec => s(rec.warehouse_no)).length, 0);
+        if (!o.warehouses && located) {
+            add('warehouses_unchecked', {
+                sheet: '', row: '', code: '', field: 'warehouse_no', value: '',
+                message: `No warehouses in the database (or they could not be read); ${located} row(s) with a warehouse number were not checked`
+            });
+        }
+
+        const summary = {};
+        issues.forEach(i => { summary[i.rule] = (summary[i.rule] || 0) + 1; });
+        const errors = issues.filter(i => i.severity === 'error').length;
+
+        return {
+            issues,
+            summary,
+            errors,
+            warnings: issues.length - errors,
+            ok: errors === 0,
+            warehouseCheck: !!o.warehouses,
+            rows: { profiles: data?.profiles?.length || 0, accessories: data?.accessories?.length || 0 },
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    function csvCell(v) {
+        const t = s(v);
+        return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+    }
+
+    function toCSV(report) {
+        const head = ['Severity', 'Rule', 'Sheet', 'Row', 'Code', 'Field', 'Value', 'Details'];
+        const lines = report.issues.map(i => [
+            i.severity, RULES[i.rule]?.label || i.rule, SHEET_LABEL[i.sheet] || i.sheet, i.row, i.code, i.field, i.value, i.message
+        ].map(csvCell).join(','));
+        return [head.join(',')].concat(lines).join('\n');
+    }
+
+    function download(report, fileName) {
+        const base = s(fileName).replace(/\.[^.]+$/, '') || 'inventory';
+        const blob = new Blob([toCSV(report)], { type: 'text/csv;charset=utf-8' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `${base}_validation_${report.createdAt.slice(0, 10)}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    window.ImportValidation = {
+        RULES,
+        MAX_SAMPLE: CONFIG.MAX_SAMPLE,
+        validate,
+        toCSV,
+        download
+    };
+
+})();
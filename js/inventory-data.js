@@ -0,0 +1,561 @@
+// Inventory data layer: one source, one cache and one change event for every page
+// The organization picks where the inventory comes from (inventory_state.data_source,
+// see inventory_source_schema.sql):
+//   tables     – inventory_profiles / inventory_accessories (AlumilDataService, realtime rows)
+//   workbook   – the published Excel file in storage (InventoryStateManager, IndexedDB)
+//   sharepoint – the SharePoint / OneDrive workbook, re-read when its Config version changes
+// Whatever the source, the rows end up in one cache that is served in two shapes:
+//   - records (code, description, warehouse_no, rack_no, ...) through window.alumilData
+//   - sheet rows ('Code', 'Description', 'Warehouse No', 'Rack No', ...) through get(), which
+//     the label pages and print previews read
+// The rows of the last load are kept in IndexedDB (30k rows do not fit localStorage); localStorage
+// excelCache only holds the version / source / file name.
+// Every change is announced with one 'alumil:inventory' window event.
+// search() ranks records for a query: through the IndexedDB token index with the workbook source,
+// with js/fuzzy-search.js over the loaded records otherwise.
+
+(function() {
+    'use strict';
+
+    const { getClient, orgId, s } = window.AlumilCommon;
+
+    const CONFIG = {
+        TABLE: 'inventory_state',
+        SOURCE_KEY: 'alumil:dataSource',
+        CACHE_KEY: 'excelCache',
+        CACHE_DB: 'alumil_inventory',
+        CACHE_STORE: 'sheets',
+        EVENT: 'alumil:inventory',
+        SOURCES: {
+            tables: 'Database tables',
+            workbook: 'Published workbook',
+            sharepoint: 'SharePoint workbook'
+        },
+        DEFAULT_SOURCE: 'tables',
+        SHAREPOINT_URL: 'https://alumildxb-my.sharepoint.com/:x:/g/personal/a_olivero_alumil_ae/EVlOY6zQ8SRJmM9696IevO8BpoiOXwkzFe88_yRNe2kC2A?e=tfIbS3',
+        // Loaded on demand when the workbook source is used on pages that do not include them
+        WORKBOOK_SCRIPTS: ['js/inventory-search-index.js', 'js/inventory-state-manager.js']
+    };
+
+    // Record field -> sheet header (the headers the label pages and search look for)
+    const HEADERS = {
+        profiles: {
+            code: 'Code',
+            description: 'Description',
+            profile_title: 'Profile Title',
+            system: 'System',
+            alloy: 'Alloy',
+            finish: 'Finish',
+            color: 'Color',
+            length: 'Length',
+            die_code: 'Die Code',
+            status: 'Status',
+            warehouse_no: 'Warehouse No',
+            rack_no: 'Rack No',
+            quantity: 'Quantity',
+            unit: 'Unit',
+            image: 'Image URL',
+            comments: 'Comments'
+        },
+        accessories: {
+            code: 'Code',
+            description: 'Description',
+            category: 'Accessory type',
+            status: 'Status',
+            warehouse_no: 'Warehouse No',
+            rack_no: 'Rack No',
+            quantity: 'Quantity',
+            unit: 'Unit',
+            image: 'Image URL',
+            mrp_comments: 'MRP comments'
+        }
+    };
+
+    // Table bookkeeping that is not part of an item
+    const SKIP = new Set(['id', 'organization_id', 'additional_data', 'created_at', 'updated_at']);
+
+    const KINDS = ['profiles', 'accessories'];
+
+    const state = {
+        source: null,
+        version: null,
+        fileName: '',
+        loadedAt: null,
+        error: null,
+        records: { profiles: [], accessories: [] },
+        sheets: { profiles: [], accessories: [] }
+    };
+
+    let initPromise = null;
+    let cacheDb = null;
+    let searchLists = {};   // kind -> records snapshot for FuzzySearch, reset on every publish
+
+    /* ---------- Row shapes ---------- */
+
+    function header(kind, field) {
+        const known = HEADERS[kind]?.[field];
+        if (known) return known;
+        const numbered = /^(side|polyamide)_(\d+)$/.exec(field);
+        if (numbered) return `${numbered[1][0].toUpperCase()}${numbered[1].slice(1)} ${numbered[2]}`;
+        return field;
+    }
+
+    // Table record (custom columns in additional_data) -> sheet row
+    function toSheetRow(kind, rec) {
+        const out = {};
+        const extra = rec?.additional_data && typeof rec.additional_data === 'object' ? rec.additional_data : {};
+        Object.entries({ ...extra, ...rec }).forEach(([field, v]) => {
+            if (SKIP.has(field) || v == null || s(v) === '') return;
+            out[header(kind, field)] = v;
+        });
+        return out;
+    }
+
+    // Sheet rows -> records with the columns confirmed in the import wizard (the mapping published
+    // with the workbook), else the same column detection as the Excel import (js/import-mapping.js)
+    function fromSheetRows(kind, rows, columns = null) {
+        if (!window.ImportMapping || !rows.length) return rows.slice();
+        const headers = new Set();
+        rows.forEach(row => Object.keys(row).forEach(h => headers.add(h)));
+        headers.delete('id'); // IndexedDB row key
+        const list = Array.from(headers);
+        const mapped = columns ? ImportMapping.resolve(list, kind, columns) : ImportMapping.autoMap(list, kind);
+        return ImportMapping.apply({ headers: list, rows: rows.map(row => list.map(h => row[h] ?? '')) }, kind, mapped);
+    }
+
+    /* ---------- Cache ---------- */
+
+    // Version / source / file name of the last load
+    function readCache() {
+        try {
+            const obj = JSON.parse(localStorage.getItem(CONFIG.CACHE_KEY) || '{}');
+            return obj && typeof obj === 'object' ? obj : {};
+        } catch {
+            return {};
+        }
+    }
+
+    function openCache() {
+        if (!cacheDb) {
+            cacheDb = new Promise((resolve, reject) => {
+                if (!window.indexedDB) return reject(new Error('IndexedDB not available'));
+                const req = indexedDB.open(CONFIG.CACHE_DB, 1);
+                req.onupgradeneeded = () => req.result.createObjectStore(CONFIG.CACHE_STORE);
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+        return cacheDb;
+    }
+
+    function cacheRequest(mode, fn) {
+        return openCache().then(db => new Promise((resolve, reject) => {
+            const req = fn(db.transaction(CONFIG.CACHE_STORE, mode).objectStore(CONFIG.CACHE_STORE));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }));
+    }
+
+    /**
+     * Rows stored by the last load: { profiles, accessories, source, version, fileName } or null
+     */
+    async function readRows() {
+        try {
+            return (await cacheRequest('readonly', store => store.get('current'))) || null;
+        } catch (e) {
+            console.warn('⚠️ Inventory cache could not be read:', e.message || e);
+            return null;
+        }
+    }
+
+    function writeCache() {
+        const meta = {
+            version: state.version,
+            source: state.source,
+            fileName: state.fileName,
+            loadedAt: state.loadedAt,
+            lastUpdated: state.loadedAt
+        };
+        try {
+            localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify(meta));
+        } catch (e) {
+            console.warn('⚠️ Inventory cache could not be stored:', e.message || e);
+        }
+        const rows = { ...meta, profiles: state.sheets.profiles, accessories: state.sheets.accessories };
+        cacheRequest('readwrite', store => store.put(rows, 'current'))
+            .catch(e => console.warn('⚠️ Inventory rows could not be cached:', e.message || e));
+    }
+
+    // Until the source has answered, pages work from the rows stored by the last load
+    async function seedFromCache() {
+        const cache = readCache();
+        state.version = cache.version ?? null;
+        state.fileName = cache.fileName || '';
+
+        const rows = await readRows();
+        if (!hasRows(rows) || state.loadedAt) return;
+        // Cached sheets are stored re-headed (see publish), so the records map back without a mapping
+        KINDS.forEach(kind => {
+            state.sheets[kind] = Array.isArray(rows[kind]) ? rows[kind] : [];
+            state.records[kind] = fromSheetRows(kind, state.sheets[kind]);
+        });
+        console.log(`📦 Inventory (cached ${rows.source || 'rows'}): ${state.sheets.profiles.length} profiles, ${state.sheets.accessories.length} accessories`);
+        window.dispatchEvent(new CustomEvent(CONFIG.EVENT, {
+            detail: {
+                source: rows.source || null,
+                version: state.version,
+                profiles: state.sheets.profiles.length,
+                accessories: state.sheets.accessories.length,
+                loadedAt: null,
+                incremental: false,
+                cached: true
+            }
+        }));
+    }
+
+    function hasRows(obj) {
+        return KINDS.some(kind => Array.isArray(obj?.[kind]) && obj[kind].length);
+    }
+
+    /**
+     * Replace the cache with rows from `source` and tell every listener.
+     * Either shape may be given; the other one is derived from it. Sheet rows published with a
+     * column mapping are re-headed from the mapped records, so every page sees the same fields
+     */
+    function publish(source, data, detail = {}) {
+        if (source !== state.source) return; // late answer from a source that was switched away
+
+        KINDS.forEach(kind => {
+            const records = data.records?.[kind];
+            const sheets = data.sheets?.[kind];
+            const columns = data.mapping?.[kind]?.columns || null;
+            state.records[kind] = records || fromSheetRows(kind, sheets || [], columns);
+            state.sheets[kind] = sheets && !columns ? sheets : state.records[kind].map(rec => toSheetRow(kind, rec));
+        });
+        state.version = data.version ?? null;
+        state.fileName = data.fileName || CONFIG.SOURCES[source];
+        state.loadedAt = new Date().toISOString();
+        state.error = null;
+        searchLists = {};
+        writeCache();
+
+        // Other sources feed the query service used by search and home
+        if (source !== 'tables' && window.alumilData?.useRows) {
+            window.alumilData.useRows(state.records.profiles, state.records.accessories, { source });
+        }
+
+        console.log(`📦 Inventory (${source}) ready: ${state.records.profiles.length} profiles, ${state.records.accessories.length} accessories`);
+        window.dispatchEvent(new CustomEvent(CONFIG.EVENT, {
+            detail: {
+                source,
+                version: state.version,
+                profiles: state.records.profiles.length,
+                accessories: state.records.accessories.length,
+                loadedAt: state.loadedAt,
+                incremental: false,
+                ...detail
+            }
+        }));
+    }
+
+    /* ---------- Source setting ---------- */
+
+    function cachedSource() {
+        const v = localStorage.getItem(CONFIG.SOURCE_KEY);
+        return v in CONFIG.SOURCES ? v : CONFIG.DEFAULT_SOURCE;
+    }
+
+    async function readSource() {
+        const sb = getClient();
+        if (!sb) return cachedSource();
+        try {
+            const { data, error } = await sb
+                .from(CONFIG.TABLE)
+                .select('data_source')
+                .eq('organization_id', orgId())
+                .maybeSingle();
+            if (error) throw error;
+            const source = data?.data_source in CONFIG.SOURCES ? data.data_source : CONFIG.DEFAULT_SOURCE;
+            localStorage.setItem(CONFIG.SOURCE_KEY, source);
+            return source;
+        } catch (e) {
+            console.warn('⚠️ Inventory source setting not available, using', cachedSource(), e.message || e);
+            return cachedSource();
+        }
+    }
+
+    /**
+     * Admin: make `source` the source of truth for the whole organization
+     */
+    async function setSource(source) {
+        if (!(source in CONFIG.SOURCES)) return { success: false, error: new Error(`Unknown inventory source: ${source}`) };
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+
+        const { data, error } = await sb
+            .from(CONFIG.TABLE)
+            .update({ data_source: source })
+            .eq('organization_id', orgId())
+            .select('organization_id');
+        if (error) return { success: false, error };
+        if (!data?.length) return { success: false, error: new Error('No inventory_state row for this organization') };
+
+        localStorage.setItem(CONFIG.SOURCE_KEY, source);
+        await use(source);
+        return { success: true };
+    }
+
+    /* ---------- Sources ---------- */
+
+    function dataService() {
+        if (!window.alumilData && window.AlumilDataService && getClient()) {
+            window.alumilData = new AlumilDataService(getClient(), orgId());
+        }
+        return window.alumilData || null;
+    }
+
+    function publishTables(detail = {}) {
+        const svc = window.alumilData;
+        if (state.source !== 'tables' || !svc?.cache.lastFetch) return;
+        publish('tables', {
+            records: { profiles: svc.cache.profiles, accessories: svc.cache.accessories },
+            version: svc.realtime.version
+        }, { incremental: !!detail.incremental, changes: detail.changes });
+    }
+
+    async function loadTables(force) {
+        const svc = dataService();
+        if (!svc) throw new Error('AlumilDataService not available');
+        const before = svc.cache.lastFetch;
+        const started = !!svc.initPromise;
+        await svc.init();
+        if (started) await svc.loadData(force);
+        if (!svc.cache.lastFetch) throw new Error('Inventory tables could not be loaded');
+        // A load from the tables already announced itself through alumilDataLoaded
+        if (svc.cache.lastFetch === before) publishTables();
+    }
+
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load ${src}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    async function stateManager() {
+        if (window.inventoryState) return window.inventoryState;
+        if (!window.InventoryStateManager) {
+            for (const src of CONFIG.WORKBOOK_SCRIPTS) await loadScript(src);
+        }
+        if (!window.inventoryState) window.inventoryState = new InventoryStateManager(getClient(), orgId());
+        return window.inventoryState;
+    }
+
+    function publishWorkbook() {
+        const store = window.InventoryStore;
+        if (state.source !== 'workbook' || !store) return;
+        publish('workbook', {
+            sheets: { profiles: store.profiles || [], accessories: store.accessories || [] },
+            version: store.version,
+            mapping: store.mapping || null,
+            fileName: window.inventoryState?.getCurrentState()?.storage_path || ''
+        });
+    }
+
+    // The manager announces every load, version change and cache clear with inventoryDataUpdated
+    async function loadWorkbook(force) {
+        const ism = await stateManager();
+        if (!ism.isInitialized) await ism.init();
+        else if (force) await ism.refreshInventoryData();
+        else publishWorkbook();
+    }
+
+    async function loadSharePoint(force) {
+        if (typeof window.loadWorkbook !== 'function' || typeof window.getSheetJSON !== 'function') {
+            throw new Error('SharePoint loader not found. Ensure xlsx.full.min.js and js/sharepoint_loader.js are loaded.');
+        }
+        await window.loadWorkbook(CONFIG.SHAREPOINT_URL, { force });
+
+        const cfg = { version: null, sheetProfiles: 'Profile', sheetAccessories: 'Accessories' };
+        (window.getSheetJSON('Config') || []).forEach(row => {
+            if (row && row.key) cfg[row.key] = row.value;
+        });
+
+        // Same version as the stored rows -> keep them
+        const cache = await readRows() || {};
+        if (!force && cfg.version && cache.source === 'sharepoint' && cache.version === cfg.version && hasRows(cache)) {
+            publish('sharepoint', { sheets: { profiles: cache.profiles || [], accessories: cache.accessories || [] }, version: cache.version, fileName: cache.fileName });
+            return;
+        }
+
+        // A missing sheet is an error, not an empty inventory
+        const sheet = (name) => {
+            const rows = window.getSheetJSON(name);
+            if (!rows) throw new Error(`Sheet "${name}" not found in the SharePoint workbook`);
+            return rows;
+        };
+        publish('sharepoint', {
+            sheets: {
+                profiles: sheet(cfg.sheetProfiles),
+                accessories: sheet(cfg.sheetAccessories)
+            },
+            version: cfg.version,
+            fileName: `SharePoint: ${cfg.sheetProfiles} + ${cfg.sheetAccessories}`
+        });
+    }
+
+    const LOADERS = { tables: loadTables, workbook: loadWorkbook, sharepoint: loadSharePoint };
+
+    async function load(force = false) {
+        const source = state.source;
+        try {
+            await LOADERS[source](force);
+        } catch (e) {
+            state.error = e;
+            console.error(`Inventory source "${source}" failed:`, e);
+            // Keep serving what the last successful load of this source stored
+            const cache = await readRows();
+            if (cache?.source === source && hasRows(cache) && !state.loadedAt) {
+                publish(source, { sheets: { profiles: cache.profiles || [], accessories: cache.accessories || [] }, version: cache.version, fileName: cache.fileName }, { stale: true });
+            }
+        }
+    }
+
+    async function use(source) {
+        if (state.source === source && state.loadedAt) return;
+        console.log(`🔀 Inventory source: ${source}`);
+        state.source = source;
+        state.loadedAt = null;
+        const svc = dataService();
+        if (svc) svc.source = source;
+        await load(true);
+    }
+
+    // Admin switched the source on another device
+    function watchSource() {
+        const sb = getClient();
+        if (!sb) return;
+        sb.channel(`inventory_source:${orgId()}`)
+            .on('postgres_changes',
+                { event: 'UPDATE', schema: 'public', table: CONFIG.TABLE, filter: `organization_id=eq.${orgId()}` },
+                (payload) => {
+                    const source = payload.new?.data_source;
+                    if (!(source in CONFIG.SOURCES) || source === state.source) return;
+                    localStorage.setItem(CONFIG.SOURCE_KEY, source);
+                    use(source);
+                }
+            )
+            .subscribe();
+    }
+
+    /**
+     * Start the data layer (runs once; called on DOMContentLoaded)
+     */
+    function init() {
+        if (!initPromise) {
+            initPromise = (async () => {
+                const source = await readSource();
+                state.source = source;
+                const svc = dataService();
+                if (svc) svc.source = source;
+                await load(false);
+                watchSource();
+            })();
+        }
+        return initPromise;
+    }
+
+    /**
+     * Load again from the current source (force = skip version checks)
+     */
+    async function reload(force = true) {
+        await init();
+        await load(force);
+    }
+
+    /* ---------- Search ---------- */
+
+    // Same fields as the IndexedDB token index (js/inventory-search-index.js)
+    const SEARCH_OPTS = {
+        codeFields: ['code', 'die_code'],
+        fields: { description: 3, profile_title: 1, category: 1, system: 1, finish: 1, warehouse_no: 1, rack_no: 1 }
+    };
+
+    /**
+     * Ranked records of one kind for a query (opts.limit, default 50). With the workbook source the
+     * cached rows are searched through their IndexedDB token index (InventoryStateManager.search),
+     * else the loaded records with js/fuzzy-search.js
+     */
+    async function search(kind, query, opts = {}) {
+        const limit = opts.limit || 50;
+        if (!s(query).trim()) return [];
+
+        const ism = window.inventoryState;
+        if (state.source === 'workbook' && ism?.isInitialized) {
+            const rows = await (kind === 'profiles' ? ism.searchProfiles(query, { limit }) : ism.searchAccessories(query, { limit }));
+            return fromSheetRows(kind, rows, window.InventoryStore?.mapping?.[kind]?.columns || null);
+        }
+
+        if (!window.FuzzySearch) throw new Error('FuzzySearch is not loaded (js/fuzzy-search.js)');
+        // A snapshot per load: the tables source updates its record arrays in place
+        if (!searchLists[kind]) searchLists[kind] = state.records[kind].slice();
+        return FuzzySearch.search(searchLists[kind], query, { ...SEARCH_OPTS, limit });
+    }
+
+    /**
+     * Current inventory in the excelCache shape: { profiles, accessories } as sheet rows,
+     * records: { profiles, accessories } as table records
+     */
+    function get() {
+        return {
+            source: state.source || cachedSource(),
+            version: state.version,
+            fileName: state.fileName,
+            loadedAt: state.loadedAt,
+            lastUpdated: state.loadedAt,
+            error: state.error,
+            profiles: state.sheets.profiles,
+            accessories: state.sheets.accessories,
+            records: state.records
+        };
+    }
+
+    /**
+     * Call fn(get(), detail) after every change; returns an unsubscribe function
+     */
+    function subscribe(fn) {
+        const handler = (e) => fn(get(), e.detail);
+        window.addEventListener(CONFIG.EVENT, handler);
+        return () => window.removeEventListener(CONFIG.EVENT, handler);
+    }
+
+    // Record changes from the tables source (full loads and realtime batches)
+    window.addEventListener('alumilDataLoaded', (e) => publishTables(e.detail || {}));
+    window.addEventListener('inventoryDataUpdated', () => publishWorkbook());
+
+    seedFromCache();
+
+    window.InventoryData = {
+        SOURCES: CONFIG.SOURCES,
+        EVENT: CONFIG.EVENT,
+        SHAREPOINT_URL: CONFIG.SHAREPOINT_URL,
+        init,
+        reload,
+        get,
+        subscribe,
+        search,
+        getSource: () => state.source || cachedSource(),
+        setSource,
+        toSheetRow,
+        fromSheetRows
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (getClient()) init();
+        else console.warn('⚠️ InventoryData: Supabase client not available, using cached inventory');
+    });
+
+})();
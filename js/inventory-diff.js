@@ -0,0 +1,165 @@
+// Diff between two inventory datasets (used by AlumilExcelUploader.publishToDatabase)
+// Rows are matched by item code per sheet:
+//   added   – codes only in the new workbook
+//   removed – codes only in the published inventory
+//   changed – codes in both with different values, per field (e.g. Rack: AA -> AB)
+// Rows are mapped records (js/import-mapping.js), so a renamed workbook header is not a change;
+// table records are flattened first (custom columns out of additional_data, bookkeeping dropped).
+// The diff can be exported to Excel (Summary / Added / Removed / Changed sheets).
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        KINDS: ['profiles', 'accessories'],
+        // Table / IndexedDB bookkeeping, not item fields
+        IGNORE: ['id', 'organization_id', 'additional_data', 'created_at', 'updated_at'],
+        MAX_SAMPLE: 200
+    };
+
+    const SHEET_LABEL = { profiles: 'Profiles', accessories: 'Accessories' };
+
+    function s(v) {
+        if (v instanceof Date) return v.toISOString().slice(0, 10);
+        return v == null ? '' : String(v).trim();
+    }
+
+    // Record with custom columns (table additional_data) at the top level, without bookkeeping
+    function flatten(rec) {
+        const extra = rec?.additional_data && typeof rec.additional_data === 'object' ? rec.additional_data : {};
+        const out = {};
+        Object.entries({ ...extra, ...rec }).forEach(([field, v]) => {
+            if (!CONFIG.IGNORE.includes(field)) out[field] = v;
+        });
+        return out;
+    }
+
+    // Field label of the import mapping ("rack_no" -> "Rack"); custom columns keep their name
+    function label(kind, field) {
+        const target = window.ImportMapping?.TARGETS?.[kind]?.find(t => t.key === field);
+        return target ? target.label : field;
+    }
+
+    // code (upper case) -> row; rows without a code are skipped, later duplicates win
+    function index(rows) {
+        const map = new Map();
+        rows.forEach(rec => {
+            const row = flatten(rec);
+            const code = s(row.code);
+            if (code) map.set(code.toUpperCase(), { code, row });
+        });
+        return map;
+    }
+
+    function compareRows(kind, before, after) {
+        const fields = new Set(Object.keys(before).concat(Object.keys(after)));
+        const out = [];
+        fields.forEach(field => {
+            const from = s(before[field]);
+            const to = s(after[field]);
+            if (from !== to) out.push({ field: label(kind, field), from, to });
+        });
+        return out;
+    }
+
+    function compareSheet(kind, current, next) {
+        const a = index(current || []);
+        const b = index(next || []);
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        b.forEach((item, key) => {
+            const prev = a.get(key);
+            if (!prev) {
+                added.push(item);
+                return;
+            }
+            const fields = compareRows(kind, prev.row, item.row);
+            if (fields.length) changed.push({ code: item.code, fields });
+        });
+        a.forEach((item, key) => {
+            if (!b.has(key)) removed.push(item);
+        });
+
+        const byCode = (x, y) => x.code.localeCompare(y.code);
+        return {
+            added: added.sort(byCode),
+            removed: removed.sort(byCode),
+            changed: changed.sort(byCode),
+            before: a.size,
+            after: b.size
+        };
+    }
+
+    // current / next: { profiles, accessories } -> { profiles: {...}, accessories: {...} }
+    function compare(current, next) {
+        const diff = {};
+        CONFIG.KINDS.forEach(kind => { diff[kind] = compareSheet(kind, current?.[kind], next?.[kind]); });
+        return diff;
+    }
+
+    // Counts per sheet, stored with the published version (inventory_versions.changes)
+    function summarize(diff) {
+        const out = {};
+        CONFIG.KINDS.forEach(kind => {
+            const d = diff[kind];
+            out[kind] = { added: d.added.length, removed: d.removed.length, changed: d.changed.length, rows: d.after };
+        });
+        return out;
+    }
+
+    function isEmpty(diff) {
+        return CONFIG.KINDS.every(kind => !diff[kind].added.length && !diff[kind].removed.length && !diff[kind].changed.length);
+    }
+
+    // Flat list of field changes: { kind, code, field, from, to }
+    function changes(diff) {
+        const out = [];
+        CONFIG.KINDS.forEach(kind => {
+            diff[kind].changed.forEach(c => c.fields.forEach(f => out.push({ kind, code: c.code, ...f })));
+        });
+        return out;
+    }
+
+    function exportExcel(diff, info = {}) {
+        if (typeof XLSX === 'undefined') throw new Error('XLSX library not loaded');
+        const wb = XLSX.utils.book_new();
+        const summary = summarize(diff);
+
+        const head = [
+            ['Published version', info.fromVersion ?? ''],
+            ['New file', info.fileName || ''],
+            ['Compared at', new Date().toLocaleString()],
+            [],
+            ['Sheet', 'Rows before', 'Rows after', 'Added', 'Removed', 'Changed']
+        ];
+        CONFIG.KINDS.forEach(kind => {
+            head.push([SHEET_LABEL[kind], diff[kind].before, diff[kind].after, summary[kind].added, summary[kind].removed, summary[kind].changed]);
+        });
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(head), 'Summary');
+
+        const rowsOf = (type) => [].concat(...CONFIG.KINDS.map(kind =>
+            diff[kind][type].map(item => ({ Sheet: SHEET_LABEL[kind], ...item.row }))));
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rowsOf('added')), 'Added');
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rowsOf('removed')), 'Removed');
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(changes(diff).map(c => ({
+            Sheet: SHEET_LABEL[c.kind], Code: c.code, Field: c.field, Published: c.from, New: c.to
+        }))), 'Changed');
+
+        const base = s(info.fileName).replace(/\.[^.]+$/, '') || 'inventory';
+        XLSX.writeFile(wb, `${base}_changes_v${info.fromVersion ?? 0}.xlsx`);
+    }
+
+    window.InventoryDiff = {
+        KINDS: CONFIG.KINDS,
+        SHEET_LABEL,
+        MAX_SAMPLE: CONFIG.MAX_SAMPLE,
+        compare,
+        summarize,
+        isEmpty,
+        changes,
+        exportExcel
+    };
+
+})();
@@ -0,0 +1,140 @@
+// Search index for the IndexedDB inventory cache (used by InventoryStateManager)
+// Every cached row gets a list of normalized tokens from its searchable columns
+// (code, description, warehouse / rack, system, finish, die codes). The tokens are stored
+// in a Dexie multiEntry index, so a query token is a key-range prefix lookup instead of
+// a scan over all rows. Candidates are then ranked with score().
+// Rows are raw sheet_to_json objects: columns come from the mapping published with the
+// workbook (js/import-mapping.js), else they are found by their (compacted) header names.
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        MIN_TOKEN: 2,
+        MAX_TOKENS: 64
+    };
+
+    // Searchable fields: mapping target + header test + ranking weight
+    const FIELDS = [
+        { key: 'code', target: 'code', weight: 10, test: h => ['code', 'itemcode', 'profilecode', 'accessorycode', 'sku'].includes(h) },
+        { key: 'description', target: 'description', weight: 4, test: h => ['description', 'desc', 'name', 'itemdescription', 'profiledescription'].includes(h) },
+        { key: 'die', target: 'die_code', weight: 6, test: h => h.includes('die') },
+        { key: 'title', target: 'profile_title', weight: 2, test: h => h === 'profiletitle' || h === 'title' },
+        { key: 'category', target: 'category', weight: 2, test: h => h === 'category' || h === 'accessorytype' || h === 'type' },
+        { key: 'warehouse', target: 'warehouse_no', weight: 3, test: h => h.startsWith('warehouse') || h === 'whno' },
+        { key: 'rack', target: 'rack_no', weight: 3, test: h => h.startsWith('rack') },
+        { key: 'system', target: 'system', weight: 2, test: h => h === 'system' || h === 'systemname' },
+        { key: 'finish', target: 'finish', weight: 2, test: h => h === 'finish' || h.startsWith('surface') }
+    ];
+
+    function s(v) {
+        return v == null ? '' : String(v);
+    }
+
+    // Lower case, accents removed
+    function normalize(v) {
+        return s(v).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+    }
+
+    function compact(v) {
+        return normalize(v).replace(/[^a-z0-9]/g, '');
+    }
+
+    // "PR-012598 ABX" -> ['pr', '012598', 'abx', 'pr012598abx', '012598abx', '12598abx']
+    function words(v) {
+        const n = normalize(v);
+        if (!n) return [];
+        const out = n.split(/[^a-z0-9]+/).filter(Boolean);
+        const c = compact(n);
+        if (c && !out.includes(c)) out.push(c);
+        // Codes without their letter prefix ("PR-", "EX-") are typed often
+        const bare = c.replace(/^[a-z]+(?=\d)/, '');
+        if (bare && bare !== c) out.push(bare);
+        // ...and without leading zeros ("12598" for PR-012598)
+        const digits = bare.replace(/^0+(?=\d)/, '');
+        if (digits && digits !== bare && digits !== c) out.push(digits);
+        return out;
+    }
+
+    // Field key -> headers for one row shape (cached per header list, or per mapping)
+    const fieldCache = new Map();
+    const mappedCache = new WeakMap();
+    function fieldsOf(row, columns = null) {
+        if (columns) {
+            if (!mappedCache.has(columns)) {
+                const map = {};
+                FIELDS.forEach(f => { if (columns[f.target]) map[f.key] = [columns[f.target]]; });
+                mappedCache.set(columns, map);
+            }
+            return mappedCache.get(columns);
+        }
+        const headers = Object.keys(row || {});
+        const sig = headers.join('\u0001');
+        if (!fieldCache.has(sig)) {
+            const map = {};
+            headers.forEach(h => {
+                const f = FIELDS.find(x => x.test(compact(h)));
+                if (f) (map[f.key] = map[f.key] || []).push(h);
+            });
+            fieldCache.set(sig, map);
+        }
+        return fieldCache.get(sig);
+    }
+
+    // Index tokens for a row
+    function tokensFor(row, columns = null) {
+        const set = new Set();
+        const fields = fieldsOf(row, columns);
+        FIELDS.forEach(f => (fields[f.key] || []).forEach(h => words(row[h]).forEach(w => {
+            if (w.length >= CONFIG.MIN_TOKEN || f.key === 'warehouse' || f.key === 'rack') set.add(w);
+        })));
+        return Array.from(set).slice(0, CONFIG.MAX_TOKENS);
+    }
+
+    // Query tokens, longest first (the most selective lookup runs first)
+    function queryTokens(query) {
+        const list = normalize(query).split(/[^a-z0-9]+/).filter(Boolean);
+        const c = compact(query);
+        // "PR-0125" is one code, not two words
+        if (list.length > 1 && /\d/.test(c) && c.length <= 16 && !/\s/.test(normalize(query))) return [c];
+        return Array.from(new Set(list)).sort((a, b) => b.length - a.length);
+    }
+
+    // Relevance of a candidate row for the query tokens (higher is better)
+    function score(row, tokens, columns = null) {
+        const fields = fieldsOf(row, columns);
+        const q = tokens.join('');
+        let total = 0;
+
+        const code = compact((fields.code || []).map(h => row[h]).join(' '));
+        if (code) {
+            if (code === q || code.replace(/^[a-z]+(?=\d)/, '') === q) total += 100;
+            else if (code.startsWith(q)) total += 60;
+            else if (code.includes(q)) total += 30;
+        }
+
+        tokens.forEach(t => {
+            let best = 0;
+            FIELDS.forEach(f => (fields[f.key] || []).forEach(h => {
+                words(row[h]).forEach(w => {
+                    if (w === t) best = Math.max(best, f.weight * 2);
+                    else if (w.startsWith(t)) best = Math.max(best, f.weight);
+                });
+            }));
+            total += best;
+        });
+        return total;
+    }
+
+    window.InventorySearchIndex = {
+        FIELDS,
+        normalize,
+        compact,
+        words,
+        fieldsOf,
+        tokensFor,
+        queryTokens,
+        score
+    };
+
+})();
@@ -17,9 +17,20 @@ class InventoryStateManager {
 
   /**
    * Initialize the inventory state manager
-   * Sets up IndexedDB and Supabase realtime subscription
+   * Sets up IndexedDB and Supabase realtime subscription. Runs once; concurrent callers
+   * (page auto-init, js/inventory-data.js) share the same run
    */
-  async init() {
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = this.initialize().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async initialize() {
     if (this.isInitialized) return;
     
     try {
@@ -58,6 +69,12 @@ class InventoryStateManager {
         profiles: '++id, code',  // entire rows
         accessories: '++id, code' // entire rows
       });
+      // Search index per row id (js/inventory-search-index.js). Version 3 dropped it; clearing
+      // meta makes loadState() download and index the current version again
+      this.db.version(4).stores({
+        profiles_search: 'id, *tokens',
+        accessories_search: 'id, *tokens'
+      }).upgrade(tx => tx.table('meta').clear());
       
       console.log('✅ IndexedDB initialized');
     } catch (error) {
@@ -134,7 +151,7 @@ class InventoryStateManager {
       // Get current state from Supabase
       const { data: state, error } = await this.supabase
         .from('inventory_state')
-        .select('storage_path, version, invalidate_at, updated_at')
+        .select('storage_path, version, invalidate_at, updated_at, mapping')
         .eq('organization_id', this.orgId)
         .single();
       
@@ -184,18 +201,20 @@ class InventoryStateManager {
       
       // Download and parse file
       const buf = await this.downloadArrayBuffer(signedUrl);
-      const { profiles, accessories } = this.parseExcel(buf);
+      const mapping = this.currentState.mapping || null;
+      const { profiles, accessories } = this.parseExcel(buf, mapping);
       
       // Update memory store
       window.InventoryStore = {
         profiles: profiles,
         accessories: accessories,
-        version: this.currentState.version
+        version: this.currentState.version,
+        mapping
       };
       
       // Save to IndexedDB
       await this.cacheInventory(this.orgId, this.currentState.version, 
-        this.currentState.storage_path, profiles, accessories);
+        this.currentState.storage_path, profiles, accessories, mapping);
       
       // Notify listeners
       this.notifyDataUpdated();
@@ -229,17 +248,26 @@ class InventoryStateManager {
   }
   
   /**
-   * Parse Excel file
+   * Parse Excel file. With the mapping published for the workbook (js/import-mapping.js) its
+   * sheets are read; a sheet the admin chose not to import yields no rows
    */
-  parseExcel(buf) {
+  parseExcel(buf, mapping = null) {
     const wb = XLSX.read(buf, { type: 'array' });
     const opts = { defval: '', raw: true };
+    const read = (ws) => ws ? XLSX.utils.sheet_to_json(ws, opts) : [];
+    
+    if (mapping) {
+      return {
+        profiles: read(mapping.profiles?.sheet ? wb.Sheets[mapping.profiles.sheet] : null),
+        accessories: read(mapping.accessories?.sheet ? wb.Sheets[mapping.accessories.sheet] : null)
+      };
+    }
     
-    const profiles = XLSX.utils.sheet_to_json(
-      wb.Sheets['Profiles'] ?? wb.Sheets['Profile'] ?? wb.Sheets[wb.SheetNames[0]], opts);
+    const profiles = read(
+      wb.Sheets['Profiles'] ?? wb.Sheets['Profile'] ?? wb.Sheets[wb.SheetNames[0]]);
       
-    const accessories = XLSX.utils.sheet_to_json(
-      wb.Sheets['Accessories'] ?? wb.Sheets['Accessory'] ?? wb.Sheets[wb.SheetNames[1]], opts);
+    const accessories = read(
+      wb.Sheets['Accessories'] ?? wb.Sheets['Accessory'] ?? wb.Sheets[wb.SheetNames[1]]);
       
     return { profiles, accessories };
   }
@@ -247,22 +275,35 @@ class InventoryStateManager {
   /**
    * Save inventory data to IndexedDB
    */
-  async cacheInventory(orgId, version, path, profiles, accessories) {
-    await this.db.transaction('rw', this.db.meta, this.db.profiles, this.db.accessories, async () => {
-      await this.db.profiles.clear();
-      await this.db.accessories.clear();
-      
-      if (profiles.length) await this.db.profiles.bulkAdd(profiles);
-      if (accessories.length) await this.db.accessories.bulkAdd(accessories);
+  async cacheInventory(orgId, version, path, profiles, accessories, mapping = null) {
+    const db = this.db;
+    await db.transaction('rw', [db.meta, db.profiles, db.accessories, db.profiles_search, db.accessories_search], async () => {
+      await Promise.all([db.profiles.clear(), db.accessories.clear(), db.profiles_search.clear(), db.accessories_search.clear()]);
+
+      await this.cacheRows('profiles', profiles, mapping?.profiles?.columns || null);
+      await this.cacheRows('accessories', accessories, mapping?.accessories?.columns || null);
       
-      await this.db.meta.put({
+      await db.meta.put({
         key: orgId,
         version,
         path,
+        mapping,
         updatedAt: new Date().toISOString()
       });
     });
   }
+
+  /**
+   * Write rows and their search tokens (inside the cacheInventory transaction)
+   */
+  async cacheRows(kind, rows, columns = null) {
+    if (!rows.length) return;
+    const ids = await this.db[kind].bulkAdd(rows, { allKeys: true });
+    await this.db[`${kind}_search`].bulkAdd(rows.map((row, i) => ({
+      id: ids[i],
+      tokens: InventorySearchIndex.tokensFor(row, columns)
+    })));
+  }
   
   /**
    * Load data from IndexedDB cache
@@ -280,7 +321,8 @@ class InventoryStateManager {
     window.InventoryStore = {
       profiles: profiles,
       accessories: accessories,
-      version: meta.version
+      version: meta.version,
+      mapping: meta.mapping || null
     };
     
     // Notify listeners
@@ -296,10 +338,10 @@ class InventoryStateManager {
    */
   async clearCache() {
     try {
-      await this.db.transaction('rw', this.db.meta, this.db.profiles, this.db.accessories, async () => {
-        await this.db.profiles.clear();
-        await this.db.accessories.clear();
-        await this.db.meta.delete(this.orgId);
+      const db = this.db;
+      await db.transaction('rw', [db.meta, db.profiles, db.accessories, db.profiles_search, db.accessories_search], async () => {
+        await Promise.all([db.profiles.clear(), db.accessories.clear(), db.profiles_search.clear(), db.accessories_search.clear()]);
+        await db.meta.delete(this.orgId);
       });
       
       // Clear memory store too
@@ -362,8 +404,10 @@ class InventoryStateManager {
   
   /**
    * Admin: Upload a file to storage and update inventory state
+   * opts.changelog, opts.changes (diff summary) and opts.mapping (confirmed column mapping) are
+   * stored with the new version (inventory_versions, see import_mappings_schema.sql)
    */
-  async uploadAndPublish(file) {
+  async uploadAndPublish(file, opts = {}) {
     if (!file) throw new Error('No file provided');
     
     try {
@@ -378,14 +422,7 @@ class InventoryStateManager {
       console.log(`📤 File uploaded to: ${filePath}`);
       
       // 2. Update state with RPC (atomic version bump)
-      const { error: rpcError } = await this.supabase.rpc(
-        'bump_inventory_version', 
-        { org: this.orgId, path: filePath }
-      );
-      
-      if (rpcError) throw rpcError;
-      
-      console.log('🔢 Version bumped successfully');
+      await this.publishStoredFile(filePath, opts);
       
       // Return the path for reference
       return filePath;
@@ -394,6 +431,93 @@ class InventoryStateManager {
       throw error;
     }
   }
+
+  /**
+   * Admin: Make a file already in the bucket the current inventory (atomic version bump).
+   * Every client refreshes its IndexedDB cache through the realtime subscription
+   */
+  async publishStoredFile(path, opts = {}) {
+    const { data: version, error } = await this.supabase.rpc(
+      'bump_inventory_version',
+      { org: this.orgId, path, note: opts.changelog || null, changes: opts.changes || null, mapping: opts.mapping || null }
+    );
+
+    if (error) throw error;
+
+    console.log(`🔢 Version bumped successfully${version ? ` (version ${version})` : ''}`);
+    return version;
+  }
+
+  /**
+   * Admin: Version history, newest first. Published versions come from inventory_versions;
+   * workbooks in the bucket that were never published as a version are listed with version null
+   */
+  async listVersions() {
+    const { data, error } = await this.supabase
+      .from('inventory_versions')
+      .select('version, storage_path, file_name, changelog, changes, mapping, published_at')
+      .eq('organization_id', this.orgId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+
+    const versions = data || [];
+    const known = new Set(versions.map(v => v.storage_path));
+    const files = (await this.listStoredFiles()).filter(f => !known.has(f.storage_path));
+
+    return versions.concat(files).sort((a, b) =>
+      String(b.published_at || '').localeCompare(String(a.published_at || '')) || (b.version || 0) - (a.version || 0));
+  }
+
+  /**
+   * Workbooks stored by the upload paths: `${orgId}/` (uploadAndPublish) and `uploads/` (excel-uploader.js)
+   */
+  async listStoredFiles() {
+    const out = [];
+    for (const folder of [this.orgId, 'uploads']) {
+      try {
+        const { data, error } = await this.supabase.storage
+          .from(this.BUCKET_NAME)
+          .list(folder, { limit: 100, sortBy: { column: 'created_at', order: 'desc' } });
+        if (error) throw error;
+        (data || []).filter(f => f.id && /\.(xlsx|xls|csv)$/i.test(f.name)).forEach(f => {
+          const stamp = Number((f.name.match(/^(\d{13})_/) || [])[1]);
+          out.push({
+            version: null,
+            storage_path: `${folder}/${f.name}`,
+            file_name: f.name.replace(/^\d+_/, ''),
+            published_at: stamp ? new Date(stamp).toISOString() : f.created_at,
+            size: f.metadata?.size || null
+          });
+        });
+      } catch (error) {
+        console.warn(`⚠️ Could not list stored files in ${folder}/:`, error.message || error);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Admin: Re-publish an older version (or stored file) as the current inventory
+   */
+  async republish(entry, reason = '') {
+    if (!entry?.storage_path) throw new Error('No stored file for this version');
+
+    // Clients on the tables source (js/inventory-data.js) reload inventory_profiles / inventory_accessories
+    // on the version bump, so the stored workbook is written to them first
+    const source = window.InventoryData ? InventoryData.getSource() : 'tables';
+    if (source === 'tables') {
+      if (!window.AlumilExcelUploader) throw new Error('Excel uploader not available to rewrite the inventory tables');
+      await new window.AlumilExcelUploader(this.supabase, this.orgId).writeTablesFromStoredFile(entry, this);
+    }
+
+    const from = entry.version ? `version ${entry.version}` : entry.file_name;
+    return this.publishStoredFile(entry.storage_path, {
+      changelog: `Rollback to ${from}${reason ? `: ${reason}` : ''}`,
+      changes: { rollback_of: entry.version, storage_path: entry.storage_path },
+      mapping: entry.mapping || null
+    });
+  }
   
   /**
    * Admin: Clear cache for all users by updating invalidate_at timestamp
@@ -452,41 +576,49 @@ class InventoryStateManager {
   }
   
   /**
-   * Search profiles in cached data
+   * Search the cached rows of one sheet ('profiles' | 'accessories') through the token index.
+   * Every query token must prefix-match a token of the row (code, description, die code, title /
+   * type, warehouse, rack, system, finish); results are ranked and limited (opts.limit, default 50).
+   * A blank query returns the first rows
    */
-  async searchProfiles(query) {
-    if (!query || query.trim() === '') {
-      return this.db.profiles.toArray();
+  async search(kind, query, opts = {}) {
+    const limit = opts.limit || 50;
+    const table = this.db[kind];
+    const index = this.db[`${kind}_search`];
+    const tokens = InventorySearchIndex.queryTokens(query);
+
+    if (!tokens.length) return table.limit(limit).toArray();
+
+    // Most selective (longest) token first, the others narrow the candidate set
+    let ids = null;
+    for (const token of tokens) {
+      const found = new Set(await index.where('tokens').startsWith(token).primaryKeys());
+      ids = ids ? ids.filter(id => found.has(id)) : Array.from(found);
+      if (!ids.length) return [];
     }
-    
-    const searchTerm = query.toLowerCase().trim();
-    const profiles = await this.db.profiles.toArray();
-    
-    return profiles.filter(item => 
-      (item.code && item.code.toString().toLowerCase().includes(searchTerm)) ||
-      (item.description && item.description.toString().toLowerCase().includes(searchTerm)) ||
-      (item.warehouse_no && item.warehouse_no.toString().toLowerCase().includes(searchTerm)) ||
-      (item.rack_no && item.rack_no.toString().toLowerCase().includes(searchTerm))
-    );
+
+    const cap = opts.maxCandidates || Math.max(limit * 20, 1000);
+    const columns = window.InventoryStore?.mapping?.[kind]?.columns || null;
+    const rows = (await table.bulkGet(ids.slice(0, cap))).filter(Boolean);
+    return rows
+      .map(row => ({ row, score: InventorySearchIndex.score(row, tokens, columns) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(r => r.row);
+  }
+
+  /**
+   * Search profiles in cached data
+   */
+  async searchProfiles(query, opts = {}) {
+    return this.search('profiles', query, opts);
   }
   
   /**
    * Search accessories in cached data
    */
-  async searchAccessories(query) {
-    if (!query || query.trim() === '') {
-      return this.db.accessories.toArray();
-    }
-    
-    const searchTerm = query.toLowerCase().trim();
-    const accessories = await this.db.accessories.toArray();
-    
-    return accessories.filter(item => 
-      (item.code && item.code.toString().toLowerCase().includes(searchTerm)) ||
-      (item.description && item.description.toString().toLowerCase().includes(searchTerm)) ||
-      (item.warehouse_no && item.warehouse_no.toString().toLowerCase().includes(searchTerm)) ||
-      (item.rack_no && item.rack_no.toString().toLowerCase().includes(searchTerm))
-    );
+  async searchAccessories(query, opts = {}) {
+    return this.search('accessories', query, opts);
   }
 }
 
@@ -504,6 +636,8 @@ window.InventoryStore = {
 document.addEventListener('DOMContentLoaded', () => {
   // Wait for Dexie to load if it's not already loaded
   const checkAndInitialize = () => {
+    // Already created by js/inventory-data.js (workbook source)
+    if (window.inventoryState) return;
     if (window._sbClient) {
       if (typeof Dexie !== 'undefined') {
         window.inventoryState = new InventoryStateManager(window._sbClient, window.ORG_ID);
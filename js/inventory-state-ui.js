@@ -17,6 +17,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   const statusMessage = document.getElementById('inventory-status-message');
   const statusText = document.getElementById('inventory-status-text');
   const logsEl = document.getElementById('inventory-logs');
+  const versionsEl = document.getElementById('inventory-versions');
+  const refreshVersionsBtn = document.getElementById('refresh-versions-btn');
+  const sourceSelect = document.getElementById('data-source-select');
+  const sourceApplyBtn = document.getElementById('data-source-apply');
+  const sourceStatus = document.getElementById('data-source-status');
 
   // Format date for display
   const formatDate = (date) => {
@@ -145,6 +150,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateCacheStatus();
   };
 
+  // Escape text for the version history
+  const esc = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
   // Set up file input handling
   if (uploadBtn && fileInput) {
     uploadBtn.addEventListener('click', () => {
@@ -162,15 +170,31 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       // Process the file
       try {
+        // Same flow as Upload Excel File (js/excel-uploader.js): column mapping, validation report,
+        // changes against the published version, publish
+        const uploader = window.excelUploader;
+        if (!uploader) throw new Error('Excel uploader not available');
+
         showStatusMessage(`Uploading ${file.name}...`, 'info');
         addLogEntry(`Started upload of ${file.name}`);
-        
-        // Upload file using InventoryStateManager
-        const filePath = await window.inventoryState.uploadAndPublish(file);
-        
+        const cancelled = () => {
+          showStatusMessage('Publishing cancelled.', 'info');
+          addLogEntry(`Cancelled upload of ${file.name}`);
+          fileInput.value = '';
+        };
+
+        const loaded = await uploader.loadFile(file);
+        if (loaded.cancelled) return cancelled();
+        if (!loaded.success) throw loaded.error;
+
+        const published = await uploader.publishToDatabase();
+        if (published.cancelled) return cancelled();
+        if (!published.success) throw published.error;
+
         showStatusMessage(`File ${file.name} uploaded and published successfully!`, 'success');
         addLogEntry(`Uploaded and published ${file.name}`, 'success');
-        
+        renderVersions();
+
         // Reset file input
         fileInput.value = '';
       } catch (error) {
@@ -181,6 +205,132 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Version history: published versions and stored workbooks, each can be re-published
+  let versionEntries = [];
+  let versionsToken = 0;
+
+  const renderVersions = async () => {
+    if (!versionsEl || !window.inventoryState) return;
+    const token = ++versionsToken;
+
+    try {
+      const entries = await window.inventoryState.listVersions();
+      if (token !== versionsToken) return;
+      versionEntries = entries;
+    } catch (error) {
+      if (token !== versionsToken) return;
+      console.error('Version history error:', error);
+      versionsEl.innerHTML = `<li class="text-xs text-red-400">Could not load version history: ${esc(error.message)}</li>`;
+      return;
+    }
+
+    if (!versionEntries.length) {
+      versionsEl.innerHTML = '<li class="text-xs text-gray-500">No versions published yet</li>';
+      return;
+    }
+
+    const current = window.inventoryState.getCurrentState();
+    const counts = (changes) => changes && changes.profiles
+      ? ['profiles', 'accessories'].map(kind => {
+          const c = changes[kind] || {};
+          return `${kind}: +${c.added || 0} −${c.removed || 0} ~${c.changed || 0}`;
+        }).join(' · ')
+      : '';
+
+    versionsEl.innerHTML = versionEntries.map((v, i) => {
+      const isCurrent = v.version != null && v.version === current?.version;
+      return `<li class="p-2 rounded border border-gray-700">
+        <div class="flex justify-between items-center gap-2">
+          <span class="font-semibold ${isCurrent ? 'text-green-400' : 'text-blue-300'}">${v.version != null ? `v${v.version}` : 'Stored file'}${isCurrent ? ' (current)' : ''}</span>
+          <span class="text-xs text-gray-400">${formatDate(v.published_at)}</span>
+        </div>
+        <div class="text-xs break-all">${esc(v.file_name || v.storage_path)}</div>
+        ${v.changelog ? `<div class="text-xs text-gray-300 mt-1">${esc(v.changelog)}</div>` : ''}
+        ${counts(v.changes) ? `<div class="text-xs text-gray-500">${esc(counts(v.changes))}</div>` : ''}
+        <div class="flex gap-3 mt-1">
+          <button class="text-xs text-gray-400 hover:text-amber-400" data-version-action="download" data-index="${i}" type="button">Download</button>
+          ${isCurrent ? '' : `<button class="text-xs text-amber-400 hover:text-amber-300" data-version-action="republish" data-index="${i}" type="button">Re-publish</button>`}
+        </div>
+      </li>`;
+    }).join('');
+  };
+
+  if (versionsEl) {
+    versionsEl.addEventListener('click', async (e) => {
+      const btn = e.target.closest('button[data-version-action]');
+      const entry = btn && versionEntries[Number(btn.dataset.index)];
+      if (!entry) return;
+
+      if (btn.dataset.versionAction === 'download') {
+        try {
+          window.open(await window.inventoryState.getSignedUrl(entry.storage_path), '_blank');
+        } catch (error) {
+          showStatusMessage(`Download failed: ${error.message}`, 'error');
+        }
+        return;
+      }
+
+      const label = entry.version != null ? `version ${entry.version}` : entry.file_name;
+      const reason = prompt(`Re-publish ${label} as the current inventory?\nAll users will switch to this file.\n\nReason (optional):`);
+      if (reason === null) return;
+
+      try {
+        btn.disabled = true;
+        showStatusMessage(`Re-publishing ${label}...`, 'info');
+        addLogEntry(`Re-publishing ${label}`);
+
+        const version = await window.inventoryState.republish(entry, reason.trim());
+
+        showStatusMessage(`${label} re-published${version ? ` as version ${version}` : ''}.`, 'success');
+        addLogEntry(`Re-published ${label}`, 'success');
+        renderVersions();
+      } catch (error) {
+        console.error('Re-publish error:', error);
+        showStatusMessage(`Re-publish failed: ${error.message}`, 'error');
+        addLogEntry(`Re-publish failed: ${error.message}`, 'error');
+        btn.disabled = false;
+      }
+    });
+  }
+
+  if (refreshVersionsBtn) {
+    refreshVersionsBtn.addEventListener('click', () => renderVersions());
+  }
+
+  // Inventory source for all pages (js/inventory-data.js)
+  const renderSource = () => {
+    if (!sourceSelect || !window.InventoryData) return;
+    const current = InventoryData.getSource();
+    sourceSelect.innerHTML = Object.entries(InventoryData.SOURCES)
+      .map(([key, label]) => `<option value="${key}"${key === current ? ' selected' : ''}>${esc(label)}</option>`)
+      .join('');
+    const data = InventoryData.get();
+    sourceStatus.textContent = data.error
+      ? `Last load failed: ${data.error.message || data.error}`
+      : data.loadedAt ? `Loaded ${formatDate(data.loadedAt)}: ${data.profiles.length} profiles, ${data.accessories.length} accessories` : '';
+  };
+
+  if (sourceApplyBtn && window.InventoryData) {
+    sourceApplyBtn.addEventListener('click', async () => {
+      const source = sourceSelect.value;
+      if (source === InventoryData.getSource()) return;
+      if (!confirm(`Switch every page to "${InventoryData.SOURCES[source]}"?`)) return;
+
+      sourceApplyBtn.disabled = true;
+      const result = await InventoryData.setSource(source);
+      sourceApplyBtn.disabled = false;
+      if (result.success) {
+        addLogEntry(`Inventory source set to ${InventoryData.SOURCES[source]}`, 'success');
+      } else {
+        showStatusMessage(`Could not change the inventory source: ${result.error.message || result.error}`, 'error');
+        addLogEntry(`Inventory source change failed: ${result.error.message || result.error}`, 'error');
+      }
+      renderSource();
+    });
+    window.addEventListener(InventoryData.EVENT, renderSource);
+    renderSource();
+  }
+
   // Set up clear cache button
   if (clearCacheBtn) {
     clearCacheBtn.addEventListener('click', async () => {
@@ -231,6 +381,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Add initial log entry
     addLogEntry('Inventory state UI initialized');
+
+    // Load the version history
+    renderVersions();
   };
 
   // Start initialization
@@ -0,0 +1,180 @@
+// Item locations for the label pages: where an item is stored and which racks exist
+// suggestions() merges the item's active item_locations rows (put away on a transfer or by
+// hand, newest first) with the warehouse_no / rack_no of the inventory rows, so the label
+// form offers every known location with the most recent putaway on top.
+// checkRack() validates a typed rack against the warehouses / racks master data and createRack()
+// adds a missing one (admins only; master_data_admin_schema.sql enforces it on the server).
+
+(function() {
+    'use strict';
+
+    const { s, normCode } = window.AlumilCommon;
+
+    const CONFIG = {
+        // Master data and putaways change rarely while a label is being filled in
+        CACHE_MS: 5 * 60 * 1000
+    };
+
+    const putaways = new Map();     // item code -> { at, promise }
+    let master = null;              // { at, promise } -> { warehouses, racks }
+    let admin = null;
+
+    function api() {
+        return window.SupabaseAPI || null;
+    }
+
+    function fresh(entry) {
+        return entry && Date.now() - entry.at < CONFIG.CACHE_MS;
+    }
+
+    /**
+     * Active item_locations of an item, newest putaway first: [{ warehouse, rack, addedAt, addedBy, note }]
+     * Resolves to [] when Supabase is not reachable (the inventory locations still apply).
+     */
+    function forItem(itemCode) {
+        const code = s(itemCode);
+        if (!code || !api()?.getItemLocations) return Promise.resolve([]);
+        const cached = putaways.get(code);
+        if (fresh(cached)) return cached.promise;
+
+        const promise = api().getItemLocations({ sku: code })
+            .then(rows => (rows || []).map(r => ({
+                warehouse: s(r.warehouses?.code),
+                rack: s(r.racks?.code),
+                addedAt: r.added_at,
+                addedBy: s(r.profiles?.username),
+                note: s(r.note)
+            })).filter(l => l.warehouse))
+            .catch(error => {
+                console.warn('⚠️ Could not load item locations:', error.message || error);
+                putaways.delete(code);
+                return [];
+            });
+        putaways.set(code, { at: Date.now(), promise });
+        return promise;
+    }
+
+    /**
+     * Putaways (newest first) followed by the inventory locations they do not already cover.
+     * dataLocations: [{ warehouse, rack }] from the inventory rows.
+     * Returns [{ warehouse, rack, addedAt, source: 'putaway' | 'inventory' }]
+     */
+    function merge(putawayList, dataLocations) {
+        const seen = new Set();
+        const out = [];
+        const add = (loc, source) => {
+            const key = `${normCode(loc.warehouse)}\u0001${normCode(loc.rack)}`;
+            if (!s(loc.warehouse) || seen.has(key)) return;
+            seen.add(key);
+            out.push({ warehouse: s(loc.warehouse), rack: s(loc.rack), addedAt: loc.addedAt || null, source });
+        };
+        (putawayList || [])
+            .slice()
+            .sort((a, b) => String(b.addedAt || '').localeCompare(String(a.addedAt || '')))
+            .forEach(loc => add(loc, 'putaway'));
+        (dataLocations || []).forEach(loc => add(loc, 'inventory'));
+        return out;
+    }
+
+    /**
+     * All known locations of an item, ranked (see merge())
+     */
+    async function suggestions(itemCode, dataLocations) {
+        return merge(await forItem(itemCode), dataLocations);
+    }
+
+    /* ---------- Master data ---------- */
+
+    function loadMaster(force = false) {
+        if (!force && fresh(master)) return master.promise;
+        const sb = api();
+        if (!sb?.getWarehouses || !sb?.getRacks) return Promise.resolve({ warehouses: [], racks: [] });
+
+        const promise = Promise.all([sb.getWarehouses(), sb.getRacks()])
+            .then(([warehouses, racks]) => ({ warehouses: warehouses || [], racks: racks || [] }))
+            .catch(error => {
+                console.warn('⚠️ Could not load warehouses / racks:', error.message || error);
+                master = null;
+                return { warehouses: [], racks: [] };
+            });
+        master = { at: Date.now(), promise };
+        return promise;
+    }
+
+    /**
+     * Does the rack exist in the warehouse? Returns
+     * { status: 'ok' | 'unknown-warehouse' | 'unknown-rack' | 'inactive' | 'unchecked', warehouse, rack }
+     * 'unchecked' when there is no master data to check against (nothing set up yet),
+     * 'inactive' when the warehouse or rack was deactivated.
+     */
+    async function checkRack(warehouseCode, rackCode) {
+        const wh = normCode(warehouseCode);
+        const rk = normCode(rackCode);
+        const { warehouses, racks } = await loadMaster();
+        if (!wh || !warehouses.length) return { status: 'unchecked', warehouse: null, rack: null };
+
+        const warehouse = warehouses.find(w => normCode(w.code) === wh) || null;
+        if (!warehouse) return { status: 'unknown-warehouse', warehouse: null, rack: null };
+        if (warehouse.active === false) return { status: 'inactive', warehouse, rack: null };
+        if (!rk) return { status: 'ok', warehouse, rack: null };
+
+        const rack = racks.find(r => r.warehouse_id === warehouse.id && normCode(r.code) === rk) || null;
+        if (!rack) return { status: 'unknown-rack', warehouse, rack: null };
+        return { status: rack.active === false ? 'inactive' : 'ok', warehouse, rack };
+    }
+
+    /**
+     * Active racks of a warehouse from the master data (for datalists)
+     */
+    async function racksOf(warehouseCode) {
+        const { warehouses, racks } = await loadMaster();
+        const warehouse = warehouses.find(w => normCode(w.code) === normCode(warehouseCode));
+        return warehouse ? racks.filter(r => r.warehouse_id === warehouse.id && r.active !== false) : [];
+    }
+
+    async function isAdmin() {
+        if (admin === null) {
+            try {
+                admin = !!(await api()?.isAdmin());
+            } catch {
+                admin = false;
+            }
+        }
+        return admin;
+    }
+
+    /**
+     * Add a missing rack to a warehouse of the master data. Admins only.
+     * Returns { success, data: rack, error }
+     */
+    async function createRack(warehouseCode, rackCode) {
+        const code = s(rackCode);
+        if (!code) return { success: false, error: new Error('Enter a rack code') };
+        if (!(await isAdmin())) return { success: false, error: new Error('Only admins can add racks') };
+
+        const check = await checkRack(warehouseCode, code);
+        if (check.rack) return { success: true, data: check.rack };
+        if (!check.warehouse) return { success: false, error: new Error(`Warehouse ${s(warehouseCode)} is not in the master data`) };
+
+        const res = await api().addRack(check.warehouse.id, code);
+        if (!res.success) return res;
+        console.log(`🗄️ Rack ${code} added to warehouse ${check.warehouse.code}`);
+        await loadMaster(true);
+        return res;
+    }
+
+    // A transfer puts the item away somewhere else
+    window.addEventListener('stockTransfersUpdated', (e) => putaways.delete(s(e.detail?.item_code)));
+
+    window.ItemLocations = {
+        forItem,
+        merge,
+        suggestions,
+        checkRack,
+        racksOf,
+        isAdmin,
+        createRack,
+        reload: () => { putaways.clear(); return loadMaster(true); }
+    };
+
+})();
@@ -0,0 +1,180 @@
+// Barcode symbologies for the label previews (chosen per label template, layout.barcode)
+//   code128    – item code, JsBarcode (the original behaviour)
+//   gs1-128    – GS1 AIs: (3113) length in metres, (30) quantity, (241) item code
+//   qrcode     – item code, or a deep link to search-inventory.html?code=...
+//   datamatrix – same content options as QR
+// GS1-128, QR and DataMatrix are drawn with bwip-js (load it before this file).
+
+(function() {
+    'use strict';
+
+    const { s } = window.AlumilCommon;
+
+    const CONFIG = {
+        SYMBOLOGIES: {
+            'code128': 'Code 128',
+            'gs1-128': 'GS1-128',
+            'qrcode': 'QR code',
+            'datamatrix': 'DataMatrix'
+        },
+        CONTENTS: {
+            'code': 'Item code',
+            'link': 'Link to inventory search'
+        },
+        AI: {
+            LENGTH: '3113',   // length, metres, 3 decimals (6 digits)
+            QUANTITY: '30',   // variable count, up to 8 digits
+            ITEM: '241'       // customer part number, up to 30 chars
+        },
+        SEARCH_PAGE: 'search-inventory.html',
+        COLOR: '111827'
+    };
+
+    const DEFAULTS = { symbology: 'code128', content: 'code' };
+
+    function normalize(cfg) {
+        const c = cfg || {};
+        return {
+            symbology: c.symbology in CONFIG.SYMBOLOGIES ? c.symbology : DEFAULTS.symbology,
+            content: c.content in CONFIG.CONTENTS ? c.content : DEFAULTS.content
+        };
+    }
+
+    function is2D(symbology) {
+        return symbology === 'qrcode' || symbology === 'datamatrix';
+    }
+
+    // Absolute link back to the search page; window.APP_BASE_URL wins over the current origin
+    function linkFor(code) {
+        const base = window.APP_BASE_URL || location.href;
+        const url = new URL(CONFIG.SEARCH_PAGE, base);
+        url.searchParams.set('code', s(code));
+        return url.href;
+    }
+
+    // "12 PCS" -> 12
+    function parseQuantity(v) {
+        const m = s(v).replace(/,/g, '').match(/\d+/);
+        return m ? parseInt(m[0], 10) : null;
+    }
+
+    // "6.5", "6.50 M", "6500 mm" -> metres
+    function parseLengthMetres(v) {
+        const t = s(v).toLowerCase().replace(/,/g, '.');
+        const m = t.match(/\d+(?:\.\d+)?/);
+        if (!m) return null;
+        const n = parseFloat(m[0]);
+        if (!Number.isFinite(n) || n <= 0) return null;
+        return /mm/.test(t) || n > 100 ? n / 1000 : n;
+    }
+
+    // GS1 element string in bracketed-AI form, fixed-length AIs first
+    function gs1Data(fields) {
+        const f = fields || {};
+        const parts = [];
+        const metres = parseLengthMetres(f.length);
+        if (metres != null && metres < 1000) {
+            parts.push(`(${CONFIG.AI.LENGTH})${String(Math.round(metres * 1000)).padStart(6, '0')}`);
+        }
+        const qty = parseQuantity(f.quantity);
+        if (qty != null && qty > 0 && qty < 1e8) {
+            parts.push(`(${CONFIG.AI.QUANTITY})${qty}`);
+        }
+        // GS1 character set 82 without brackets (they delimit AIs)
+        const item = s(f.code).toUpperCase().replace(/[^A-Z0-9!"%&'*+,\-./:;<=>?_]/g, '').slice(0, 30);
+        if (item) parts.push(`(${CONFIG.AI.ITEM})${item}`);
+        const text = parts.join('');
+        return { text, hri: text };
+    }
+
+    // What the symbol encodes: { text, hri } (hri only for GS1, shown under the barcode)
+    function value(cfg, fields) {
+        const c = normalize(cfg);
+        const f = fields || {};
+        const code = s(f.barcode) || s(f.code) || '-';
+        if (c.symbology === 'gs1-128') return gs1Data(f);
+        if (is2D(c.symbology) && c.content === 'link') return { text: linkFor(s(f.code) || code), hri: '' };
+        return { text: code, hri: '' };
+    }
+
+    function renderCode128(el, text, opts) {
+        JsBarcode(el, text || '-', {
+            format: 'code128',
+            lineColor: '#' + CONFIG.COLOR,
+            width: opts.width || 2,
+            height: opts.height || 52,
+            displayValue: false,
+            margin: opts.margin == null ? 4 : opts.margin
+        });
+        return el;
+    }
+
+    function renderBwip(el, symbology, text, opts) {
+        const heightPx = opts.height || 52;
+        const bwipOpts = is2D(symbology)
+            ? { bcid: symbology, text, scale: 3, padding: opts.margin || 0, barcolor: CONFIG.COLOR }
+            : {
+                bcid: 'gs1-128',
+                text,
+                scaleX: opts.width || 2,
+                scaleY: 1,
+                height: heightPx * 25.4 / 72,   // bwip-js heights are mm at 72 dpi
+                padding: opts.margin || 0,
+                barcolor: CONFIG.COLOR
+            };
+        if (symbology === 'qrcode') bwipOpts.eclevel = 'M';
+
+        const holder = document.createElement('div');
+        holder.innerHTML = bwipjs.toSVG(bwipOpts);
+        const svg = holder.querySelector('svg');
+        if (el.id) svg.id = el.id;
+        el.replaceWith(svg);
+        return svg;
+    }
+
+    // Draw into the <svg> `el` (replaced for bwip-js output); returns { el, text, hri, symbology }.
+    // Falls back to Code 128 of the item code when a symbology can't be drawn.
+    function render(el, cfg, fields, opts = {}) {
+        const c = normalize(cfg);
+        const wrap = el.closest('.barcode-wrap');
+        let symbology = c.symbology;
+        let v = value(c, fields);
+
+        if (symbology !== 'code128' && (!v.text || typeof bwipjs === 'undefined')) {
+            console.warn(`⚠️ ${CONFIG.SYMBOLOGIES[symbology]} unavailable, using Code 128`);
+            symbology = 'code128';
+            v = value(DEFAULTS, fields);
+        }
+
+        let node = el;
+        try {
+            node = symbology === 'code128'
+                ? renderCode128(el, v.text, opts)
+                : renderBwip(el, symbology, v.text, opts);
+        } catch (error) {
+            console.warn(`⚠️ ${CONFIG.SYMBOLOGIES[symbology]} render failed, using Code 128:`, error.message || error);
+            symbology = 'code128';
+            v = value(DEFAULTS, fields);
+            node = renderCode128(el, v.text, opts);
+        }
+
+        if (wrap) {
+            wrap.classList.toggle('is-2d', is2D(symbology));
+            wrap.dataset.symbology = symbology;
+        }
+        return { el: node, text: v.text, hri: v.hri, symbology };
+    }
+
+    window.LabelBarcode = {
+        SYMBOLOGIES: CONFIG.SYMBOLOGIES,
+        CONTENTS: CONFIG.CONTENTS,
+        DEFAULTS,
+        normalize,
+        is2D,
+        linkFor,
+        gs1Data,
+        value,
+        render
+    };
+
+})();
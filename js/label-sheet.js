@@ -0,0 +1,140 @@
+// Multi-up sheet layouts (A4 / Letter) for printing labels on office laser printers
+// Used by accessories-print-preview.html: each 100×50 label is scaled into a sheet cell.
+// Margins are symmetric (top = bottom, left = right); gutters are the gaps between cells.
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        STORAGE_KEY: 'apv:sheet',
+        PAPERS: {
+            a4: { name: 'A4', w: 210, h: 297 },
+            letter: { name: 'Letter', w: 215.9, h: 279.4 }
+        },
+        // Avery-style stock; cell size follows from paper, margins and gutters
+        PRESETS: {
+            'L7173': { name: 'Avery L7173 · 99.1×57 (10)', paper: 'a4', rows: 5, cols: 2, marginTop: 6, marginLeft: 4.65, gutterX: 2.5, gutterY: 0 },
+            'L7165': { name: 'Avery L7165 · 99.1×67.7 (8)', paper: 'a4', rows: 4, cols: 2, marginTop: 13.1, marginLeft: 4.65, gutterX: 2.5, gutterY: 0 },
+            'L7166': { name: 'Avery L7166 · 99.1×93.1 (6)', paper: 'a4', rows: 3, cols: 2, marginTop: 8.8, marginLeft: 4.65, gutterX: 2.5, gutterY: 0 },
+            'L7163': { name: 'Avery L7163 · 99.1×38.1 (14)', paper: 'a4', rows: 7, cols: 2, marginTop: 15.15, marginLeft: 4.65, gutterX: 2.5, gutterY: 0 },
+            '5163': { name: 'Avery 5163 · 4×2 in (10)', paper: 'letter', rows: 5, cols: 2, marginTop: 12.7, marginLeft: 4.76, gutterX: 3.18, gutterY: 0 },
+            '5164': { name: 'Avery 5164 · 4×3⅓ in (6)', paper: 'letter', rows: 3, cols: 2, marginTop: 12.7, marginLeft: 4.76, gutterX: 3.18, gutterY: 0 }
+        },
+        DEFAULTS: {
+            mode: 'roll',        // 'roll' = one 100×50 label per page, 'sheet' = multi-up
+            preset: 'L7173',
+            paper: 'a4',
+            rows: 5,
+            cols: 2,
+            marginTop: 6,
+            marginLeft: 4.65,
+            gutterX: 2.5,
+            gutterY: 0,
+            start: 1,            // first free cell on the first sheet (1-based)
+            copies: 1            // single-item mode only; the queue carries its own copies
+        },
+        MAX_CELLS: 100,
+        MAX_COPIES: 999
+    };
+
+    function num(v, def, min, max) {
+        const n = parseFloat(v);
+        if (!Number.isFinite(n)) return def;
+        return Math.min(max, Math.max(min, n));
+    }
+
+    function normalize(cfg) {
+        const c = { ...CONFIG.DEFAULTS, ...(cfg || {}) };
+        const paper = CONFIG.PAPERS[c.paper] ? c.paper : CONFIG.DEFAULTS.paper;
+        const rows = Math.round(num(c.rows, CONFIG.DEFAULTS.rows, 1, 30));
+        const cols = Math.round(num(c.cols, CONFIG.DEFAULTS.cols, 1, 10));
+        return {
+            mode: c.mode === 'sheet' ? 'sheet' : 'roll',
+            preset: c.preset in CONFIG.PRESETS ? c.preset : 'custom',
+            paper,
+            rows,
+            cols,
+            marginTop: num(c.marginTop, 0, 0, 50),
+            marginLeft: num(c.marginLeft, 0, 0, 50),
+            gutterX: num(c.gutterX, 0, 0, 30),
+            gutterY: num(c.gutterY, 0, 0, 30),
+            start: Math.round(num(c.start, 1, 1, Math.min(rows * cols, CONFIG.MAX_CELLS))),
+            copies: Math.round(num(c.copies, 1, 1, CONFIG.MAX_COPIES))
+        };
+    }
+
+    function load() {
+        try {
+            return normalize(JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || 'null'));
+        } catch {
+            return normalize(null);
+        }
+    }
+
+    function save(cfg) {
+        const c = normalize(cfg);
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(c));
+        } catch (e) {
+            console.warn('Sheet layout storage failed', e);
+        }
+        return c;
+    }
+
+    // Preset values merged over the current settings (mode, start and copies are kept)
+    function applyPreset(cfg, presetId) {
+        const p = CONFIG.PRESETS[presetId];
+        if (!p) return normalize({ ...cfg, preset: 'custom' });
+        const { name, ...values } = p;
+        return normalize({ ...cfg, ...values, preset: presetId });
+    }
+
+    // Paper and cell sizes in mm; cellW/cellH <= 0 means the margins don't fit
+    function geometry(cfg) {
+        const c = normalize(cfg);
+        const paper = CONFIG.PAPERS[c.paper];
+        const cellW = (paper.w - 2 * c.marginLeft - (c.cols - 1) * c.gutterX) / c.cols;
+        const cellH = (paper.h - 2 * c.marginTop - (c.rows - 1) * c.gutterY) / c.rows;
+        return {
+            paperW: paper.w,
+            paperH: paper.h,
+            cellW: Math.round(cellW * 100) / 100,
+            cellH: Math.round(cellH * 100) / 100,
+            perSheet: c.rows * c.cols,
+            valid: cellW > 0 && cellH > 0 && c.rows * c.cols <= CONFIG.MAX_CELLS
+        };
+    }
+
+    // Split items into sheets of cells; cells before `start` on the first sheet are null (already used)
+    function paginate(items, cfg) {
+        const c = normalize(cfg);
+        const per = c.rows * c.cols;
+        const cells = new Array(c.start - 1).fill(null).concat(items || []);
+        const sheets = [];
+        for (let i = 0; i < cells.length; i += per) {
+            const sheet = cells.slice(i, i + per);
+            while (sheet.length < per) sheet.push(null);
+            sheets.push(sheet);
+        }
+        return sheets;
+    }
+
+    // Labels still free on the first sheet from the start position
+    function freeCells(cfg) {
+        const c = normalize(cfg);
+        return c.rows * c.cols - c.start + 1;
+    }
+
+    window.LabelSheet = {
+        PAPERS: CONFIG.PAPERS,
+        PRESETS: CONFIG.PRESETS,
+        normalize,
+        load,
+        save,
+        applyPreset,
+        geometry,
+        paginate,
+        freeCells
+    };
+
+})();
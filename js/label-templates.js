@@ -0,0 +1,168 @@
+// Shared label templates stored in Supabase (table: label_templates, see label_templates_schema.sql)
+// A template holds the whole preview layout for one label type + size:
+//   { blocks: {photo:{x,y,w,h}, ...}, vars: {'--bc-height-px': '52', ...}, paper: {size, orient},
+//     barcode: {symbology, content} }   (see js/label-barcode.js)
+// The last active template is cached in localStorage so labels keep their layout offline.
+
+(function() {
+    'use strict';
+
+    const { getClient, orgId } = window.AlumilCommon;
+
+    const CONFIG = {
+        TABLE: 'label_templates',
+        CACHE_PREFIX: 'alumil:labelTemplate:'
+    };
+
+    function cacheKey(type, size) {
+        return `${CONFIG.CACHE_PREFIX}${type}:${size}`;
+    }
+
+    function getCached(type, size) {
+        try {
+            return JSON.parse(localStorage.getItem(cacheKey(type, size)) || 'null');
+        } catch {
+            return null;
+        }
+    }
+
+    function setCached(type, size, template) {
+        try {
+            if (template) localStorage.setItem(cacheKey(type, size), JSON.stringify(template));
+            else localStorage.removeItem(cacheKey(type, size));
+        } catch (e) {
+            console.warn('Label template cache failed', e);
+        }
+    }
+
+    // Active template for a label type + size; falls back to the cached copy when offline
+    async function getActive(type, size) {
+        const sb = getClient();
+        if (sb) {
+            try {
+                const { data, error } = await sb
+                    .from(CONFIG.TABLE)
+                    .select('*')
+                    .eq('organization_id', orgId())
+                    .eq('label_type', type)
+                    .eq('label_size', size)
+                    .eq('is_active', true)
+                    .maybeSingle();
+                if (error) throw error;
+                setCached(type, size, data || null);
+                return { template: data || null, source: 'remote' };
+            } catch (error) {
+                console.warn('⚠️ Could not load label template, using cache:', error.message || error);
+            }
+        }
+        const cached = getCached(type, size);
+        return { template: cached, source: cached ? 'cache' : null };
+    }
+
+    async function list(type, size) {
+        const sb = getClient();
+        if (!sb) return [];
+        let q = sb.from(CONFIG.TABLE)
+            .select('id, name, label_type, label_size, is_active, version, updated_at')
+            .eq('organization_id', orgId())
+            .eq('label_type', type)
+            .order('name');
+        if (size) q = q.eq('label_size', size);
+        const { data, error } = await q;
+        if (error) {
+            console.error('Error listing label templates:', error);
+            return [];
+        }
+        return data || [];
+    }
+
+    async function get(id) {
+        const sb = getClient();
+        if (!sb) return null;
+        const { data, error } = await sb.from(CONFIG.TABLE).select('*').eq('id', id).maybeSingle();
+        if (error) {
+            console.error('Error loading label template:', error);
+            return null;
+        }
+        return data;
+    }
+
+    // Create or update a named template (admins only, enforced by RLS)
+    async function save({ name, type, size, layout }) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        const cleanName = String(name || '').trim();
+        if (!cleanName) return { success: false, error: new Error('Template name is required') };
+
+        try {
+            const { data: { user } } = await sb.auth.getUser();
+            const { data: existing } = await sb.from(CONFIG.TABLE)
+                .select('id, version')
+                .eq('organization_id', orgId())
+                .eq('label_type', type)
+                .eq('label_size', size)
+                .eq('name', cleanName)
+                .maybeSingle();
+
+            const row = {
+                organization_id: orgId(),
+                name: cleanName,
+                label_type: type,
+                label_size: size,
+                layout: layout || {},
+                version: (existing?.version || 0) + 1,
+                updated_by: user?.id || null,
+                updated_at: new Date().toISOString()
+            };
+            const { data, error } = await sb.from(CONFIG.TABLE)
+                .upsert(row, { onConflict: 'organization_id,label_type,label_size,name' })
+                .select()
+                .single();
+            if (error) throw error;
+            return { success: true, data };
+        } catch (error) {
+            console.error('Error saving label template:', error);
+            return { success: false, error };
+        }
+    }
+
+    // Publish: make this template the active one for its type + size
+    async function activate(id) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        const { error } = await sb.rpc('activate_label_template', { template_id: id });
+        if (error) {
+            console.error('Error publishing label template:', error);
+            return { success: false, error };
+        }
+        return { success: true };
+    }
+
+    // Notify when any template of this type changes (publish from another admin)
+    function subscribe(type, onChange) {
+        const sb = getClient();
+        if (!sb || typeof sb.channel !== 'function') return null;
+        return sb.channel(`label_templates_${type}`)
+            .on('postgres_changes', {
+                event: '*',
+                schema: 'public',
+                table: CONFIG.TABLE,
+                filter: `organization_id=eq.${orgId()}`
+            }, (payload) => {
+                const row = payload.new || payload.old || {};
+                if (row.label_type === type) onChange(row);
+            })
+            .subscribe();
+    }
+
+    window.LabelTemplates = {
+        getActive,
+        getCached,
+        list,
+        get,
+        save,
+        activate,
+        subscribe
+    };
+
+})();
@@ -0,0 +1,127 @@
+// Recent prints (print_logs, see print_logs_schema.sql) for the "Recent Prints" panels
+// Users see their own prints, admins can switch to the whole organization.
+// Offline, the prints still waiting in the PrintLog queue are shown instead.
+// reopen() checks the print policy again, restores the logged payload, size and template and
+// opens the matching preview.
+
+(function() {
+    'use strict';
+
+    const { orgId } = window.AlumilCommon;
+
+    const CONFIG = {
+        LIMIT: 25,
+        PREVIEWS: {
+            // size: the preview takes the logged label size in ?size= (the device's own size stays saved)
+            profile: { page: 'profile-print-preview.html', key: 'profilePrintData', size: true },
+            accessory: { page: 'accessories-print-preview.html', key: 'accessoryPrintData' }
+        },
+        // Rack label pages take the payload in ?data= and have no stored template
+        RACK_PAGES: {
+            'Label 1': 'Label 1 – Print.html',
+            'Label 2': 'Label 2 – Print.html'
+        }
+    };
+
+    function fromQueue(opts) {
+        const rows = window.PrintLog ? PrintLog.queued() : [];
+        return rows
+            .filter(r => !opts.kind || r.item_type === opts.kind)
+            .map(r => ({ ...r, pending: true }))
+            .sort((a, b) => String(b.printed_at).localeCompare(String(a.printed_at)))
+            .slice(0, opts.limit || CONFIG.LIMIT);
+    }
+
+    // { scope: 'mine' | 'org', kind, limit } -> { success, data, source: 'remote' | 'local' }
+    async function recent(opts = {}) {
+        const sb = window._sbClient;
+        if (!sb || navigator.onLine === false) {
+            return { success: true, data: fromQueue(opts), source: 'local' };
+        }
+
+        try {
+            const { data: { user } } = await sb.auth.getUser();
+            if (!user) throw new Error('Not signed in');
+
+            let q = sb.from('print_logs')
+                .select('id, user_id, item_code, item_type, label_qty, label_size, warehouse_code, rack_code, template_id, template_name, source, payload, printed_at, profiles(username)')
+                .eq('organization_id', orgId())
+                .not('payload', 'is', null)
+                .order('printed_at', { ascending: false })
+                .limit(opts.limit || CONFIG.LIMIT);
+            if (opts.scope !== 'org') q = q.eq('user_id', user.id);
+            if (opts.kind) q = q.eq('item_type', opts.kind);
+
+            const { data, error } = await q;
+            if (error) throw error;
+
+            // Prints made offline on this device are not on the server yet
+            const pending = fromQueue(opts);
+            const rows = pending.concat((data || []).map(r => ({ ...r, username: r.profiles?.username || '' })));
+            return { success: true, data: rows.slice(0, opts.limit || CONFIG.LIMIT), source: 'remote' };
+        } catch (error) {
+            console.warn('⚠️ Could not load print history, using local queue:', error.message || error);
+            return { success: true, data: fromQueue(opts), source: 'local' };
+        }
+    }
+
+    function encodePayload(payload) {
+        return btoa(unescape(encodeURIComponent(JSON.stringify(payload))));
+    }
+
+    // Target page for a logged print: { url, storage: { key: value } }
+    function target(row) {
+        const payload = { ...(row.payload || {}) };
+        const rackPage = !row.template_id && CONFIG.RACK_PAGES[row.template_name];
+        if (rackPage) {
+            return { url: `${rackPage}?data=${encodeURIComponent(encodePayload(payload))}`, storage: {} };
+        }
+
+        const preview = CONFIG.PREVIEWS[row.item_type];
+        if (!preview) return null;
+        if (row.label_size && row.label_size !== 'unknown') payload.labelSize = row.label_size;
+
+        const params = new URLSearchParams();
+        if (row.template_id) params.set('template', row.template_id);
+        if (preview.size && payload.labelSize) params.set('size', payload.labelSize);
+        const query = params.toString();
+        return { url: preview.page + (query ? `?${query}` : ''), storage: { [preview.key]: JSON.stringify(payload) } };
+    }
+
+    // Open the preview for a logged print after the print policy (js/print-policy.js; opts.onBlock
+    // shows a block message). Resolves to false when the row can't be reopened, null when the
+    // policy stopped the reprint
+    async function reopen(row, opts = {}) {
+        if (!row || !row.payload) return false;
+        const payload = { ...row.payload };
+        const kind = row.item_type === 'accessory' ? 'accessory' : 'profile';
+        if (!target(row)) return false;
+
+        // Open the tab within the click: after awaiting the policy it would be popup-blocked
+        const w = window.open('', '_blank');
+        if (!w) return false;
+        w.opener = null;
+        if (window.PrintPolicy && !(await PrintPolicy.enforce(kind, payload, opts))) {
+            w.close();
+            return null;
+        }
+
+        const t = target({ ...row, payload });
+        try {
+            Object.entries(t.storage).forEach(([k, v]) => localStorage.setItem(k, v));
+        } catch (e) {
+            console.warn('Reprint storage failed', e);
+            w.close();
+            return false;
+        }
+        w.location.href = new URL(t.url, location.href).href;
+        return true;
+    }
+
+    window.PrintHistory = {
+        recent,
+        target,
+        reopen
+    };
+
+})();
@@ -0,0 +1,150 @@
+// Print logging for the label previews (rows in print_logs, see print_logs_schema.sql)
+// Every print is queued in localStorage first and then sent with SupabaseAPI.logPrints(),
+// so prints made offline (or from a tab that closes right after autoprint) are not lost.
+// The queue is retried on page load, when the browser comes back online and with backoff.
+
+(function() {
+    'use strict';
+
+    const { s, newRef } = window.AlumilCommon;
+
+    const CONFIG = {
+        QUEUE_KEY: 'alumil:printLogQueue',
+        MAX_QUEUE: 1000,
+        BATCH: 50,
+        RETRY_MS: [5000, 15000, 60000, 300000],
+        DEDUPE_MS: 1500,
+        EVENT: 'printLogUpdated'
+    };
+
+    let flushing = false;
+    let retryTimer = null;
+    let attempt = 0;
+    let lastPrintAt = 0;
+
+    function read() {
+        try {
+            const arr = JSON.parse(localStorage.getItem(CONFIG.QUEUE_KEY) || '[]');
+            return Array.isArray(arr) ? arr : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function write(rows) {
+        let keep = rows;
+        if (keep.length > CONFIG.MAX_QUEUE) {
+            console.warn(`⚠️ Print log queue full, dropping ${keep.length - CONFIG.MAX_QUEUE} oldest entries`);
+            keep = keep.slice(-CONFIG.MAX_QUEUE);
+        }
+        try {
+            localStorage.setItem(CONFIG.QUEUE_KEY, JSON.stringify(keep));
+        } catch (e) {
+            console.warn('Print log storage failed', e);
+        }
+        window.dispatchEvent(new CustomEvent(CONFIG.EVENT, { detail: { pending: keep.length } }));
+        return keep;
+    }
+
+    // One print_logs row; accepts both preview (camelCase) and rack page (snake_case) payloads.
+    // The organization is set on the server from the signed-in user's profile
+    function toRow(entry, opts) {
+        const p = entry.payload || {};
+        const tpl = entry.template || opts.template || null;
+        return {
+            client_ref: newRef(),
+            item_type: entry.kind || opts.kind || null,
+            item_code: s(p.code || p.profile_code || p.barcode),
+            label_qty: Math.max(1, parseInt(entry.copies, 10) || 1),
+            label_size: s(entry.labelSize || p.labelSize || opts.labelSize) || 'unknown',
+            warehouse_code: s(entry.warehouseNo || p.warehouseNo || p.warehouse_no),
+            rack_code: s(entry.rackNo || p.rackNo || p.rack_no),
+            template_id: tpl?.id || null,
+            template_name: s(tpl?.name) || null,
+            source: entry.source || opts.source || 'preview',
+            item_status: s(p.status) || null,
+            override_reason: s(p.policyOverride?.reason) || null,
+            payload: p,
+            printed_at: new Date().toISOString()
+        };
+    }
+
+    // Queue prints and try to send them. entries: [{ kind, payload, copies, labelSize, template }]
+    function log(entries, opts = {}) {
+        const rows = (entries || []).filter(Boolean).map(e => toRow(e, opts));
+        if (!rows.length) return [];
+        write(read().concat(rows));
+        flush();
+        return rows;
+    }
+
+    function schedule() {
+        if (retryTimer || !read().length) return;
+        const wait = CONFIG.RETRY_MS[Math.min(attempt, CONFIG.RETRY_MS.length - 1)];
+        attempt++;
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            flush();
+        }, wait);
+    }
+
+    async function flush() {
+        if (flushing) return;
+        const queue = read();
+        if (!queue.length) return;
+        if (navigator.onLine === false || !window.SupabaseAPI?.logPrints) {
+            schedule();
+            return;
+        }
+
+        flushing = true;
+        try {
+            const batch = queue.slice(0, CONFIG.BATCH);
+            const res = await window.SupabaseAPI.logPrints(batch);
+            if (!res.success) throw res.error;
+            const sent = new Set(batch.map(r => r.client_ref));
+            const rest = write(read().filter(r => !sent.has(r.client_ref)));
+            attempt = 0;
+            console.log(`🖨️ Logged ${batch.length} print(s)`);
+            if (rest.length) setTimeout(flush, 0);
+        } catch (error) {
+            console.warn('⚠️ Print log upload failed, will retry:', error?.message || error);
+            schedule();
+        } finally {
+            flushing = false;
+        }
+    }
+
+    // Log whenever the page is printed (Print button, autoprint or Ctrl+P), once the print dialog
+    // has closed. Browsers do not tell whether it was confirmed or cancelled, so a cancelled
+    // dialog is logged as well.
+    function bindPrintEvents(getEntries, opts = {}) {
+        window.addEventListener('afterprint', () => {
+            const now = Date.now();
+            if (now - lastPrintAt < CONFIG.DEDUPE_MS) return;
+            lastPrintAt = now;
+            try {
+                log(getEntries(), opts);
+            } catch (e) {
+                console.error('Error collecting print log entries:', e);
+            }
+        });
+    }
+
+    window.addEventListener('online', () => {
+        attempt = 0;
+        flush();
+    });
+    // Give supabase-overlay.js time to create the client, then send what earlier pages left behind
+    window.addEventListener('load', () => setTimeout(flush, 1000));
+
+    window.PrintLog = {
+        EVENT: CONFIG.EVENT,
+        log,
+        flush,
+        pending: () => read().length,
+        queued: () => read(),
+        bindPrintEvents
+    };
+
+})();
@@ -0,0 +1,175 @@
+// Print policy per item status (table: print_policies, see print_policy_schema.sql)
+// Each rule maps a status value (e.g. "Not Supported profile", "Discontinued") to an action:
+//   allow – print as usual
+//   warn  – print only with a reason; the reason is stored on the payload (policyOverride)
+//           and ends up in print_logs.override_reason via js/print-log.js
+//   block – never print
+// Status "*" is the fallback for a label type. Rules are cached in localStorage for offline use.
+// save() goes through the save_print_policy() RPC (print_policy_save_schema.sql).
+
+(function() {
+    'use strict';
+
+    const { getClient, orgId, s } = window.AlumilCommon;
+
+    const CONFIG = {
+        TABLE: 'print_policies',
+        SETTINGS_TABLE: 'print_policy_settings',
+        CACHE_KEY: 'alumil:printPolicy',
+        KINDS: ['profile', 'accessory'],
+        ACTIONS: {
+            allow: 'Allow',
+            warn: 'Warn (reason required)',
+            block: 'Block'
+        }
+    };
+
+    // Used until an admin saves a policy (an empty saved policy allows everything)
+    const DEFAULT_RULES = [
+        { kind: 'profile', status: 'Not Supported profile', action: 'warn', message: '' },
+        { kind: 'accessory', status: 'Discontinued', action: 'warn', message: '' }
+    ];
+
+    let rulesPromise = null;
+
+    function key(status) {
+        return s(status).toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    function normalizeRule(r) {
+        return {
+            kind: CONFIG.KINDS.includes(r?.kind) ? r.kind : 'profile',
+            status: s(r?.status) || '*',
+            action: r?.action in CONFIG.ACTIONS ? r.action : 'allow',
+            message: s(r?.message)
+        };
+    }
+
+    // Rules in effect for a stored policy { configured, rules }
+    function effective(policy) {
+        return policy.configured ? policy.rules : DEFAULT_RULES;
+    }
+
+    // { configured, rules }; caches written before the settings table hold a plain rule list
+    function getCached() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(CONFIG.CACHE_KEY) || 'null');
+            if (Array.isArray(cached)) return { configured: cached.length > 0, rules: cached.map(normalizeRule) };
+            if (!Array.isArray(cached?.rules)) return null;
+            return { configured: !!cached.configured, rules: cached.rules.map(normalizeRule) };
+        } catch {
+            return null;
+        }
+    }
+
+    function setCached(policy) {
+        try {
+            localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify(policy));
+        } catch (e) {
+            console.warn('Print policy cache failed', e);
+        }
+    }
+
+    async function fetchRules() {
+        const sb = getClient();
+        if (sb) {
+            try {
+                const [rules, settings] = await Promise.all([
+                    sb.from(CONFIG.TABLE)
+                        .select('kind, status, action, message')
+                        .eq('organization_id', orgId()),
+                    sb.from(CONFIG.SETTINGS_TABLE)
+                        .select('organization_id')
+                        .eq('organization_id', orgId())
+                        .maybeSingle()
+                ]);
+                if (rules.error) throw rules.error;
+                // Without print_policy_settings, any saved rule still means the policy was configured
+                if (settings.error) console.warn('⚠️ Print policy settings not available:', settings.error.message || settings.error);
+                const policy = {
+                    configured: !!settings.data || !!rules.data?.length,
+                    rules: (rules.data || []).map(normalizeRule)
+                };
+                setCached(policy);
+                return effective(policy);
+            } catch (error) {
+                console.warn('⚠️ Could not load print policy, using cache:', error.message || error);
+            }
+        }
+        const cached = getCached();
+        return cached ? effective(cached) : DEFAULT_RULES;
+    }
+
+    // Current rules (loaded once per page; pass true to reload)
+    function load(force) {
+        if (force || !rulesPromise) rulesPromise = fetchRules();
+        return rulesPromise;
+    }
+
+    // Replace the whole policy in one transaction (admins only, checked by save_print_policy)
+    async function save(rules) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        // One rule per label type + status, as save_print_policy keeps it (first wins)
+        const seen = new Set();
+        const rows = (rules || []).map(normalizeRule).filter(r => {
+            const k = `${r.kind}\u0001${key(r.status)}`;
+            if (seen.has(k)) return false;
+            seen.add(k);
+            return true;
+        });
+
+        try {
+            const { error } = await sb.rpc('save_print_policy', { rules: rows });
+            if (error) throw error;
+            setCached({ configured: true, rules: rows });
+            rulesPromise = null;
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving print policy:', error);
+            return { success: false, error };
+        }
+    }
+
+    // Rule for a label type + status: exact status first, then "*", else allow
+    function evaluate(kind, status, rules) {
+        const list = (rules || []).filter(r => r.kind === kind);
+        const k = key(status);
+        const rule = (k && list.find(r => key(r.status) === k)) || list.find(r => r.status === '*') || null;
+        return { action: rule ? rule.action : 'allow', rule };
+    }
+
+    // Apply the policy before a label is opened or queued; returns true when it may print.
+    // opts.onBlock(message) shows the block message; warn asks for a reason with prompt().
+    async function enforce(kind, payload, opts = {}) {
+        const status = s(payload?.status);
+        const { action, rule } = evaluate(kind, status, await load());
+        const label = status || 'no status';
+
+        if (action === 'block') {
+            const msg = rule?.message || `Labels cannot be printed for items with status "${label}".`;
+            (opts.onBlock || alert)(msg);
+            return false;
+        }
+        if (action === 'warn') {
+            const msg = rule?.message || `This item has status "${label}".`;
+            const reason = s(prompt(`${msg}\n\nEnter a reason to print anyway:`));
+            if (!reason) return false;
+            payload.policyOverride = { status: label, action, reason, at: new Date().toISOString() };
+            return true;
+        }
+        delete payload.policyOverride;
+        return true;
+    }
+
+    window.PrintPolicy = {
+        ACTIONS: CONFIG.ACTIONS,
+        KINDS: CONFIG.KINDS,
+        DEFAULT_RULES,
+        load,
+        save,
+        evaluate,
+        enforce
+    };
+
+})();
@@ -0,0 +1,127 @@
+// Batch print queue for profile and accessory labels
+// Used by profile-label-printing.html / acc-label-printing.html (add items) and
+// profile-print-preview.html / accessories-print-preview.html (?queue=1 renders the job)
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        KEY_PREFIX: 'alumil:printQueue:',
+        KINDS: ['profile', 'accessory'],
+        MAX_COPIES: 999,
+        EVENT: 'printQueueUpdated'
+    };
+
+    function storageKey(kind) {
+        if (!CONFIG.KINDS.includes(kind)) throw new Error(`Unknown queue kind: ${kind}`);
+        return CONFIG.KEY_PREFIX + kind;
+    }
+
+    function read(kind) {
+        try {
+            const arr = JSON.parse(localStorage.getItem(storageKey(kind)) || '[]');
+            return Array.isArray(arr) ? arr : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function write(kind, items) {
+        try {
+            localStorage.setItem(storageKey(kind), JSON.stringify(items));
+        } catch (e) {
+            console.warn('Print queue storage failed', e);
+        }
+        notify(kind, items);
+        return items;
+    }
+
+    function notify(kind, items) {
+        window.dispatchEvent(new CustomEvent(CONFIG.EVENT, { detail: { kind, items } }));
+    }
+
+    function clampCopies(n) {
+        const v = parseInt(n, 10);
+        if (!Number.isFinite(v) || v < 1) return 1;
+        return Math.min(v, CONFIG.MAX_COPIES);
+    }
+
+    function newId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    // Add a label payload to the queue; returns the stored entry
+    function add(kind, payload, opts = {}) {
+        const p = payload || {};
+        const entry = {
+            id: newId(),
+            payload: p,
+            copies: clampCopies(opts.copies),
+            labelSize: String(opts.labelSize || p.labelSize || '').trim(),
+            warehouseNo: String(opts.warehouseNo || p.warehouseNo || '').trim(),
+            rackNo: String(opts.rackNo || p.rackNo || '').trim(),
+            addedAt: new Date().toISOString()
+        };
+        write(kind, read(kind).concat(entry));
+        return entry;
+    }
+
+    function remove(kind, id) {
+        return write(kind, read(kind).filter(it => it.id !== id));
+    }
+
+    // Move an entry up (delta < 0) or down (delta > 0)
+    function move(kind, id, delta) {
+        const items = read(kind);
+        const from = items.findIndex(it => it.id === id);
+        if (from < 0) return items;
+        const to = Math.max(0, Math.min(items.length - 1, from + delta));
+        if (to === from) return items;
+        const [it] = items.splice(from, 1);
+        items.splice(to, 0, it);
+        return write(kind, items);
+    }
+
+    function setCopies(kind, id, copies) {
+        return write(kind, read(kind).map(it => it.id === id ? { ...it, copies: clampCopies(copies) } : it));
+    }
+
+    function clear(kind) {
+        return write(kind, []);
+    }
+
+    // One entry per printed label, in queue order (copies expanded)
+    function expand(kind) {
+        const out = [];
+        read(kind).forEach(it => {
+            for (let i = 0; i < clampCopies(it.copies); i++) {
+                out.push({ ...it, copy: i + 1 });
+            }
+        });
+        return out;
+    }
+
+    function totalLabels(kind) {
+        return read(kind).reduce((sum, it) => sum + clampCopies(it.copies), 0);
+    }
+
+    // Re-broadcast changes made in other tabs
+    window.addEventListener('storage', (e) => {
+        if (!e.key || !e.key.startsWith(CONFIG.KEY_PREFIX)) return;
+        const kind = e.key.slice(CONFIG.KEY_PREFIX.length);
+        if (CONFIG.KINDS.includes(kind)) notify(kind, read(kind));
+    });
+
+    window.PrintQueue = {
+        EVENT: CONFIG.EVENT,
+        list: read,
+        add,
+        remove,
+        move,
+        setCopies,
+        clear,
+        expand,
+        totalLabels
+    };
+
+})();
@@ -0,0 +1,127 @@
+// Rack map (rack-map.html): the racks of a warehouse laid out as a floor plan
+// build() places every rack of the master data (warehouses / racks, see warehouse_master_schema.sql)
+// together with the racks the inventory rows name in warehouse_no / rack_no, so the map works
+// before any master data is set up. Racks are grouped into rows by aisle, then zone, then the
+// letters their code starts with ("A1", "A2" / "AA", "AB" share row A), and carry the profiles /
+// accessories stored in them; shade() turns the item count into the fill of a rack.
+
+(function() {
+    'use strict';
+
+    const { s, normCode } = window.AlumilCommon;
+
+    function natural(a, b) {
+        return s(a).localeCompare(s(b), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    /**
+     * Warehouses of the master data and of the inventory rows:
+     * [{ code, name, active, known, items }] sorted by code; known = in the master data
+     */
+    function warehouses(master, records) {
+        const out = new Map();
+        (master?.warehouses || []).forEach(w => {
+            out.set(normCode(w.code), { code: s(w.code), name: s(w.name), active: w.active !== false, known: true, items: 0 });
+        });
+        ['profiles', 'accessories'].forEach(kind => {
+            (records?.[kind] || []).forEach(rec => {
+                const key = normCode(rec.warehouse_no);
+                if (!key) return;
+                if (!out.has(key)) out.set(key, { code: s(rec.warehouse_no), name: '', active: true, known: false, items: 0 });
+                out.get(key).items++;
+            });
+        });
+        return [...out.values()].sort((a, b) => natural(a.code, b.code));
+    }
+
+    function rowOf(rack) {
+        if (s(rack.aisle)) return `Aisle ${s(rack.aisle)}`;
+        if (s(rack.zone)) return `Zone ${s(rack.zone)}`;
+        const letters = /^[a-z]+/i.exec(s(rack.code));
+        return `Row ${(letters ? letters[0][0] : s(rack.code)[0] || '?').toUpperCase()}`;
+    }
+
+    /**
+     * Floor plan of one warehouse:
+     * { warehouse, rows: [{ label, racks }], racks, unassigned: { profiles, accessories }, max }
+     * rack: { code, name, zone, aisle, level, capacity, active, known, profiles, accessories, count, quantity }
+     * known = in the master data; max = the highest item count (for shade())
+     */
+    function build(master, records, warehouseCode) {
+        const wh = normCode(warehouseCode);
+        const warehouse = (master?.warehouses || []).find(w => normCode(w.code) === wh) || null;
+        const racks = new Map();
+        const unassigned = { profiles: [], accessories: [] };
+
+        if (warehouse) {
+            (master.racks || []).filter(r => r.warehouse_id === warehouse.id).forEach(r => {
+                racks.set(normCode(r.code), {
+                    code: s(r.code), name: s(r.name), zone: s(r.zone), aisle: s(r.aisle), level: s(r.level),
+                    capacity: r.capacity == null ? null : Number(r.capacity), active: r.active !== false, known: true,
+                    profiles: [], accessories: [], count: 0, quantity: 0
+                });
+            });
+        }
+
+        ['profiles', 'accessories'].forEach(kind => {
+            (records?.[kind] || []).forEach(rec => {
+                if (normCode(rec.warehouse_no) !== wh) return;
+                const key = normCode(rec.rack_no);
+                if (!key) {
+                    unassigned[kind].push(rec);
+                    return;
+                }
+                if (!racks.has(key)) {
+                    racks.set(key, {
+                        code: s(rec.rack_no), name: '', zone: '', aisle: '', level: '', capacity: null, active: true, known: false,
+                        profiles: [], accessories: [], count: 0, quantity: 0
+                    });
+                }
+                const rack = racks.get(key);
+                rack[kind].push(rec);
+                rack.count++;
+                rack.quantity += Number(rec.quantity) || 0;
+            });
+        });
+
+        const list = [...racks.values()].sort((a, b) => natural(a.code, b.code) || natural(a.level, b.level));
+        const rows = new Map();
+        list.forEach(rack => {
+            const label = rowOf(rack);
+            if (!rows.has(label)) rows.set(label, []);
+            rows.get(label).push(rack);
+        });
+
+        return {
+            warehouse: warehouse || { code: s(warehouseCode), name: '' },
+            rows: [...rows.entries()].map(([label, r]) => ({ label, racks: r })).sort((a, b) => natural(a.label, b.label)),
+            racks: list,
+            unassigned,
+            max: list.reduce((m, r) => Math.max(m, r.count), 0)
+        };
+    }
+
+    /**
+     * Fill of a rack from 0 (empty) to 1 (the fullest rack, or its capacity when set)
+     */
+    function shade(rack, max) {
+        if (!rack.count) return 0;
+        if (rack.capacity > 0) return Math.min(1, rack.count / rack.capacity);
+        return max ? rack.count / max : 0;
+    }
+
+    /**
+     * Rack of a plan by code (any case / spacing)
+     */
+    function find(plan, rackCode) {
+        return plan.racks.find(r => normCode(r.code) === normCode(rackCode)) || null;
+    }
+
+    window.RackMap = {
+        warehouses,
+        build,
+        shade,
+        find
+    };
+
+})();
@@ -7,7 +7,10 @@
       // Ensure Supabase client exists
       let client = (typeof window.getSupabaseClient === 'function') ? window.getSupabaseClient() : window._sbClient;
       if (!client) { console.warn('search-inventory-live: Supabase client not ready'); return; }
-      // Initialize data service if not already
+      // Initialize data service if not already (the data layer creates it for its source)
+      if (window.InventoryData) {
+        await window.InventoryData.init();
+      }
       if (!window.alumilData) {
         if (window.AlumilDataService){
           window.alumilData = new window.AlumilDataService(client);
@@ -0,0 +1,162 @@
+// SharePoint / OneDrive workbook loader (used by js/inventory-data.js for the 'sharepoint' source)
+// loadWorkbook(link) turns a share link into direct-download URLs, downloads the first one
+// that returns a workbook and parses it once; getSheetJSON(name) then returns the rows of a
+// sheet (sheet_to_json objects), e.g. getSheetJSON('Config') for the key / value version sheet.
+// The link has to allow "anyone with the link" to view; otherwise SharePoint answers with its
+// sign-in page, which is reported as such instead of as a broken file.
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        TIMEOUT_MS: 30000,
+        CONFIG_SHEET: 'Config'
+    };
+
+    // Loaded workbooks by link; a second loadWorkbook() for the same link reuses the first
+    const loaded = new Map();
+    let current = null; // { link, url, workbook, loadedAt }
+
+    function base64Url(text) {
+        return btoa(unescape(encodeURIComponent(text))).replace(/=+$/, '').replace(/\//g, '_').replace(/\+/g, '-');
+    }
+
+    function withParam(href, param) {
+        return href + (href.includes('?') ? '&' : '?') + param;
+    }
+
+    /**
+     * Direct-download candidates for a share link, most reliable first
+     */
+    function toDownloadUrls(link) {
+        let u;
+        try {
+            u = new URL(link);
+        } catch {
+            throw new Error(`Not a valid workbook link: ${link}`);
+        }
+        const href = u.href;
+        const urls = [];
+
+        if (/\.sharepoint\.com$/i.test(u.hostname)) {
+            if (/\/_layouts\/15\/download\.aspx/i.test(u.pathname)) return [href];
+            // Share links: /:x:/g/personal/<user>/<token>?e=... (token) or /:x:/r/sites/<site>/<path> (file path)
+            const share = /^\/:[a-z]:\/[gs]\/((?:personal|sites|teams)\/[^/]+)\/([^/?#]+)$/i.exec(u.pathname);
+            if (share) urls.push(`${u.origin}/${share[1]}/_layouts/15/download.aspx?share=${share[2]}`);
+            const path = /^\/:[a-z]:\/r\/(.+)$/i.exec(u.pathname);
+            if (path) urls.push(`${u.origin}/${path[1]}`);
+            urls.push(/[?&]download=1/i.test(href) ? href : withParam(href, 'download=1'));
+            urls.push(`${u.origin}/_layouts/15/download.aspx?SourceUrl=${encodeURIComponent(href)}`);
+        } else if (/(^|\.)1drv\.ms$|(^|\.)onedrive\.live\.com$/i.test(u.hostname)) {
+            // Personal OneDrive: the shares API serves the file content for an encoded share link
+            urls.push(`https://api.onedrive.com/v1.0/shares/u!${base64Url(href)}/root/content`);
+            urls.push(withParam(href, 'download=1'));
+        }
+        urls.push(href);
+        return Array.from(new Set(urls));
+    }
+
+    // Workbook files are zip (xlsx) or OLE (xls) containers; anything else is most likely
+    // an HTML sign-in or error page
+    function looksLikeWorkbook(buf) {
+        const b = new Uint8Array(buf, 0, Math.min(4, buf.byteLength));
+        return (b[0] === 0x50 && b[1] === 0x4B) || (b[0] === 0xD0 && b[1] === 0xCF && b[2] === 0x11 && b[3] === 0xE0);
+    }
+
+    async function download(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.TIMEOUT_MS);
+        try {
+            const res = await fetch(url, { mode: 'cors', redirect: 'follow', cache: 'no-store', signal: controller.signal });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const buf = await res.arrayBuffer();
+            if (!looksLikeWorkbook(buf)) {
+                const type = res.headers.get('content-type') || '';
+                throw new Error(/html/i.test(type) ? 'got a web page instead of the file (link needs sign-in or is not shared)' : 'response is not an Excel workbook');
+            }
+            return buf;
+        } catch (e) {
+            if (e.name === 'AbortError') throw new Error(`no answer within ${CONFIG.TIMEOUT_MS / 1000}s`);
+            // fetch() only says "Failed to fetch" for network and CORS failures
+            if (e instanceof TypeError) throw new Error('network or CORS error');
+            throw e;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function fetchWorkbook(link) {
+        if (typeof XLSX === 'undefined') throw new Error('XLSX library not loaded. Include xlsx.full.min.js before js/sharepoint_loader.js.');
+
+        const failures = [];
+        for (const url of toDownloadUrls(link)) {
+            try {
+                const buf = await download(url);
+                const workbook = XLSX.read(buf, { type: 'array' });
+                console.log(`📥 SharePoint workbook loaded (${workbook.SheetNames.length} sheets)`);
+                return { link, url, workbook, loadedAt: new Date().toISOString() };
+            } catch (e) {
+                failures.push(`${url}: ${e.message || e}`);
+            }
+        }
+        throw new Error(`Could not download the workbook. Make sure the link allows anyone with the link to view.\n${failures.join('\n')}`);
+    }
+
+    /**
+     * Download and parse the workbook behind a share link (once per link; opts.force reloads)
+     */
+    async function loadWorkbook(link, opts = {}) {
+        if (opts.force || !loaded.has(link)) {
+            const pending = fetchWorkbook(link);
+            loaded.set(link, pending);
+            pending.catch(() => loaded.delete(link));
+        }
+        current = await loaded.get(link);
+        return current.workbook;
+    }
+
+    function requireWorkbook() {
+        if (!current) throw new Error('No SharePoint workbook loaded. Call loadWorkbook(link) first.');
+        return current.workbook;
+    }
+
+    function getSheetNames() {
+        return requireWorkbook().SheetNames.slice();
+    }
+
+    /**
+     * Rows of a sheet (name matched case-insensitively), or null when the sheet does not exist
+     */
+    function getSheetJSON(name) {
+        const workbook = requireWorkbook();
+        const wanted = String(name || '').trim().toLowerCase();
+        const sheet = workbook.SheetNames.find(n => n.trim().toLowerCase() === wanted);
+        if (!sheet) return null;
+        return XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: '' });
+    }
+
+    /**
+     * The Config sheet as { key: value } (version, sheetProfiles, sheetAccessories, ...)
+     */
+    function getConfig() {
+        const out = {};
+        (getSheetJSON(CONFIG.CONFIG_SHEET) || []).forEach(row => {
+            if (row && row.key) out[String(row.key).trim()] = row.value;
+        });
+        return out;
+    }
+
+    window.SharePointLoader = {
+        toDownloadUrls,
+        loadWorkbook,
+        getSheetNames,
+        getSheetJSON,
+        getConfig,
+        current: () => current
+    };
+
+    // Global names used by js/inventory-data.js (and older page scripts)
+    window.loadWorkbook = loadWorkbook;
+    window.getSheetJSON = getSheetJSON;
+
+})();
@@ -0,0 +1,167 @@
+// Stock movements and bin card ledger (rows in stock_movements, see stock_movements_schema.sql)
+// post() turns form entries into signed movements (+ into the location, - out of it) and
+// sends them in one SupabaseAPI.postStockMovements() call; ledger() reads an item's movements
+// back and adds the running balance per warehouse / rack.
+// findItem() resolves a scanned or typed code against the inventory in js/inventory-data.js.
+
+(function() {
+    'use strict';
+
+    const { s, newRef } = window.AlumilCommon;
+
+    const CONFIG = {
+        EVENT: 'stockMovementsUpdated'
+    };
+
+    // sign: +1 into the location, -1 out of it, 0 = signed by the user (adjustments)
+    const TYPES = {
+        opening: { label: 'Opening balance', sign: 1 },
+        receipt: { label: 'Receipt', sign: 1 },
+        issue: { label: 'Issue', sign: -1 },
+        transfer_in: { label: 'Transfer in', sign: 1 },
+        transfer_out: { label: 'Transfer out', sign: -1 },
+        adjustment: { label: 'Adjustment', sign: 0 }
+    };
+
+    function locationKey(warehouseCode, rackCode) {
+        return `${s(warehouseCode)}\u0001${s(rackCode)}`;
+    }
+
+    /**
+     * One stock_movements row for an entry:
+     * { type, itemCode, itemType, warehouseCode, rackCode, quantity, reference, note }
+     * quantity is entered as a positive number except for adjustments (+/-). Throws on bad input.
+     */
+    function toRow(entry) {
+        const type = TYPES[entry.type];
+        if (!type) throw new Error(`Unknown movement type: ${entry.type}`);
+        if (!s(entry.itemCode)) throw new Error('Scan or enter an item first');
+        if (!s(entry.warehouseCode)) throw new Error('Choose a warehouse');
+
+        const qty = Number(entry.quantity);
+        if (!Number.isFinite(qty)) throw new Error('Enter a quantity');
+        if (type.sign && qty < 0) throw new Error(`${type.label} quantity must be positive`);
+        if (qty === 0 && entry.type !== 'opening') throw new Error('Quantity cannot be zero');
+
+        return {
+            client_ref: entry.clientRef || newRef(),
+            item_code: s(entry.itemCode),
+            item_type: entry.itemType || null,
+            warehouse_code: s(entry.warehouseCode),
+            rack_code: s(entry.rackCode) || null,
+            movement_type: entry.type,
+            quantity: type.sign ? type.sign * qty : qty,
+            reference: s(entry.reference) || null,
+            note: s(entry.note) || null
+        };
+    }
+
+    /**
+     * Post movements in one batch (all or nothing). Returns { success, data: rows, error }
+     */
+    async function post(entries) {
+        let rows;
+        try {
+            rows = (entries || []).filter(Boolean).map(toRow);
+        } catch (error) {
+            return { success: false, error };
+        }
+        if (!rows.length) return { success: true, data: [] };
+        if (!window.SupabaseAPI?.postStockMovements) {
+            return { success: false, error: new Error('Supabase is not available') };
+        }
+
+        const res = await window.SupabaseAPI.postStockMovements(rows);
+        if (!res.success) return { success: false, error: res.error };
+
+        console.log(`📦 Posted ${rows.length} stock movement(s)`);
+        window.dispatchEvent(new CustomEvent(CONFIG.EVENT, { detail: { rows } }));
+        return { success: true, data: rows };
+    }
+
+    /**
+     * Movements of an item with the running balance of their location.
+     * filters: { warehouseCode, rackCode }. Returns
+     * { success, data: { rows: [{ ...movement, balance }], balances: [{ warehouseCode, rackCode, quantity, lastMovementAt }] } }
+     */
+    async function ledger(itemCode, filters = {}) {
+        if (!window.SupabaseAPI?.getStockMovements) {
+            return { success: false, error: new Error('Supabase is not available') };
+        }
+        const res = await window.SupabaseAPI.getStockMovements(s(itemCode), {
+            warehouseCode: s(filters.warehouseCode),
+            rackCode: s(filters.rackCode)
+        });
+        if (!res.success) return res;
+
+        const totals = new Map();
+        const rows = res.data.map(m => {
+            const key = locationKey(m.warehouse_code, m.rack_code);
+            const t = totals.get(key) || { warehouseCode: m.warehouse_code, rackCode: m.rack_code || '', quantity: 0, lastMovementAt: null };
+            // numeric columns come back as strings; round away float noise from the running sum
+            t.quantity = Math.round((t.quantity + Number(m.quantity)) * 1000) / 1000;
+            t.lastMovementAt = m.created_at;
+            totals.set(key, t);
+            return { ...m, balance: t.quantity };
+        });
+
+        return { success: true, data: { rows, balances: Array.from(totals.values()) } };
+    }
+
+    /**
+     * Balance of an item at one location (0 when it has no movements there)
+     */
+    async function balance(itemCode, warehouseCode, rackCode) {
+        const res = await ledger(itemCode, { warehouseCode, rackCode });
+        if (!res.success) return res;
+        const hit = res.data.balances.find(b => locationKey(b.warehouseCode, b.rackCode) === locationKey(warehouseCode, rackCode));
+        return { success: true, data: hit ? hit.quantity : 0 };
+    }
+
+    /**
+     * Inventory item for a scanned / typed code: exact code or barcode first, then the best
+     * code match. Returns { code, description, type, warehouseNo, rackNo, record } or null.
+     */
+    function findItem(text) {
+        const query = s(text);
+        const records = window.InventoryData?.get().records;
+        if (!query || !records) return null;
+
+        const lists = [['profile', records.profiles || []], ['accessory', records.accessories || []]];
+        const wanted = query.toLowerCase();
+        const shape = (type, rec) => rec && {
+            code: s(rec.code),
+            description: s(rec.description),
+            type,
+            warehouseNo: s(rec.warehouse_no),
+            rackNo: s(rec.rack_no),
+            record: rec
+        };
+
+        for (const [type, list] of lists) {
+            const hit = list.find(r => s(r.code).toLowerCase() === wanted || (r.barcode && s(r.barcode) === query));
+            if (hit) return shape(type, hit);
+        }
+        if (!window.FuzzySearch) return null;
+
+        // "012598abx" / "12598abx" for PR-012598ABX: only accept a single unambiguous code match
+        const wantedForm = FuzzySearch.codeForms(query)[0];
+        for (const [type, list] of lists) {
+            const hits = list.filter(r => FuzzySearch.codeForms(r.code).includes(wantedForm));
+            if (hits.length === 1) return shape(type, hits[0]);
+        }
+        return null;
+    }
+
+    window.StockMovements = {
+        EVENT: CONFIG.EVENT,
+        TYPES,
+        toRow,
+        post,
+        ledger,
+        balance,
+        findItem,
+        locationKey
+    };
+
+})();
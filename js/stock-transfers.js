@@ -0,0 +1,133 @@
+// Stock transfers between warehouses / racks (stock_transfers, see stock_transfers_schema.sql)
+// transfer() moves a quantity of an item in one transfer_stock() call: the destination becomes
+// an item location, both bin cards get their transfer_out / transfer_in movement and, when an
+// admin moves the whole stock, the item's location in the inventory tables follows. The server
+// takes the organization from the caller's profile and only accepts destinations of the master data.
+// history() is the transfer list of an item; relabelLinks() points the label pages at the
+// destination so new labels can be printed right after the move.
+
+(function() {
+    'use strict';
+
+    const { getClient, orgId, s, newRef } = window.AlumilCommon;
+
+    const CONFIG = {
+        EVENT: 'stockTransfersUpdated'
+    };
+
+    function place(warehouseCode, rackCode) {
+        return `${s(warehouseCode)}${s(rackCode) ? ' / ' + s(rackCode) : ''}`;
+    }
+
+    /**
+     * transfer_stock() payload for an entry:
+     * { itemCode, itemType, description, fromWarehouseCode, fromRackCode, toWarehouseCode,
+     *   toRackCode, quantity, moveAll, note }. Throws on bad input.
+     */
+    function toPayload(entry) {
+        if (!s(entry.itemCode)) throw new Error('Scan or enter an item first');
+        if (!s(entry.fromWarehouseCode)) throw new Error('Choose the warehouse the stock comes from');
+        if (!s(entry.toWarehouseCode)) throw new Error('Choose the destination warehouse');
+        if (s(entry.fromWarehouseCode).toLowerCase() === s(entry.toWarehouseCode).toLowerCase()
+            && s(entry.fromRackCode).toLowerCase() === s(entry.toRackCode).toLowerCase()) {
+            throw new Error('Source and destination are the same location');
+        }
+        const qty = Number(entry.quantity);
+        if (!Number.isFinite(qty) || qty <= 0) throw new Error('Enter a quantity greater than zero');
+
+        return {
+            client_ref: entry.clientRef || newRef(),
+            item_code: s(entry.itemCode),
+            item_type: entry.itemType || null,
+            description: s(entry.description) || null,
+            from_warehouse_code: s(entry.fromWarehouseCode),
+            from_rack_code: s(entry.fromRackCode) || null,
+            to_warehouse_code: s(entry.toWarehouseCode),
+            to_rack_code: s(entry.toRackCode) || null,
+            quantity: qty,
+            move_all: !!entry.moveAll,
+            note: s(entry.note) || null
+        };
+    }
+
+    /**
+     * Post one transfer. Returns { success, data: { id, ...payload }, error }
+     */
+    async function transfer(entry) {
+        let payload;
+        try {
+            payload = toPayload(entry || {});
+        } catch (error) {
+            return { success: false, error };
+        }
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+
+        try {
+            const { data, error } = await sb.rpc('transfer_stock', { transfer: payload });
+            if (error) throw error;
+            console.log(`🔀 Transferred ${payload.quantity} of ${payload.item_code}: ${place(payload.from_warehouse_code, payload.from_rack_code)} → ${place(payload.to_warehouse_code, payload.to_rack_code)}`);
+
+            const detail = { id: data, ...payload };
+            window.dispatchEvent(new CustomEvent(CONFIG.EVENT, { detail }));
+            // The transfer also posted a movement pair: bin cards reload on their own event
+            if (window.StockMovements) {
+                window.dispatchEvent(new CustomEvent(StockMovements.EVENT, { detail: { transfer: detail } }));
+            }
+            return { success: true, data: detail };
+        } catch (error) {
+            console.error('Error transferring stock:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Transfers of an item, newest first
+     */
+    async function history(itemCode, opts = {}) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        try {
+            const { data, error } = await sb
+                .from('stock_transfers')
+                .select('*, profiles(username)')
+                .eq('organization_id', orgId())
+                .eq('item_code', s(itemCode))
+                .order('created_at', { ascending: false })
+                .limit(opts.limit || 100);
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (error) {
+            console.error('Error loading transfer history:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Label page links for the destination of a transfer:
+     * { item: profile / accessory label page with the item and location filled in,
+     *   rack: rack sign page for the destination rack }
+     */
+    function relabelLinks(t) {
+        const code = s(t.itemCode || t.item_code);
+        const wh = s(t.toWarehouseCode || t.to_warehouse_code);
+        const rack = s(t.toRackCode || t.to_rack_code);
+        const type = t.itemType || t.item_type;
+        const page = type === 'accessory' ? 'acc-label-printing.html' : 'profile-label-printing.html';
+        const params = new URLSearchParams({ code, wh, rack });
+        return {
+            item: `${page}?${params}`,
+            rack: `rack-label-printing.html?${new URLSearchParams({ wh, rack })}`
+        };
+    }
+
+    window.StockTransfers = {
+        EVENT: CONFIG.EVENT,
+        toPayload,
+        transfer,
+        history,
+        relabelLinks,
+        place
+    };
+
+})();
@@ -0,0 +1,417 @@
+// ZPL II / TSPL command generator for Zebra / TSC thermal label printers
+// Builds printer-native text from the same payloads used by profile-print-preview.html
+// and accessories-print-preview.html, so barcodes print at the printer's native resolution.
+// Images are not rasterised; thermal labels carry barcode + text only. The barcode follows the
+// symbology of the label template (js/label-barcode.js: Code 128, GS1-128, QR code, DataMatrix).
+// Printer settings are per organization (thermal_printer_settings, see thermal_printer_schema.sql);
+// a device may override the endpoint with the printer next to it.
+
+(function() {
+    'use strict';
+
+    const { getClient, orgId } = window.AlumilCommon;
+
+    const CONFIG = {
+        TABLE: 'thermal_printer_settings',
+        CACHE_KEY: 'alumil:thermalPrinter:org',
+        DEVICE_KEY: 'alumil:thermalPrinter:device',
+        DPI: [203, 300],
+        LANGUAGES: ['zpl', 'tspl'],
+        MARGIN_MM: 3,
+        GAP_MM: 3,
+        SIZES: {
+            profile: ['160x110', '150x100', '200x150', '250x200'],
+            accessory: ['100x50', '150x100', '200x150', '250x200']
+        },
+        DEFAULT_SIZE: { profile: '160x110', accessory: '100x50' }
+    };
+
+    const DEFAULTS = { language: 'zpl', dpi: 203, endpoint: '', noCors: false };
+
+    let settingsPromise = null;
+
+    function normalizeConfig(c) {
+        c = c || {};
+        return {
+            language: CONFIG.LANGUAGES.includes(c.language) ? c.language : DEFAULTS.language,
+            dpi: CONFIG.DPI.includes(+c.dpi) ? +c.dpi : DEFAULTS.dpi,
+            endpoint: String(c.endpoint || '').trim(),
+            noCors: !!c.noCors
+        };
+    }
+
+    function readJSON(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch {
+            return null;
+        }
+    }
+
+    // Organization settings as last loaded (cached for offline use)
+    function getOrgConfig() {
+        return normalizeConfig(readJSON(CONFIG.CACHE_KEY));
+    }
+
+    // This device's printer: { endpoint, noCors } or null
+    function getOverride() {
+        const o = readJSON(CONFIG.DEVICE_KEY);
+        return o && String(o.endpoint || '').trim() ? { endpoint: String(o.endpoint).trim(), noCors: !!o.noCors } : null;
+    }
+
+    // Pass null (or an empty endpoint) to follow the organization's endpoint again
+    function setOverride(override) {
+        const endpoint = String(override?.endpoint || '').trim();
+        if (endpoint) localStorage.setItem(CONFIG.DEVICE_KEY, JSON.stringify({ endpoint, noCors: !!override.noCors }));
+        else localStorage.removeItem(CONFIG.DEVICE_KEY);
+        return getConfig();
+    }
+
+    // Settings in effect on this device: the organization's, with the device endpoint if set
+    function getConfig() {
+        return { ...getOrgConfig(), ...(getOverride() || {}) };
+    }
+
+    async function fetchSettings() {
+        const sb = getClient();
+        if (sb) {
+            try {
+                const { data, error } = await sb.from(CONFIG.TABLE)
+                    .select('language, dpi, endpoint, no_cors')
+                    .eq('organization_id', orgId())
+                    .maybeSingle();
+                if (error) throw error;
+                const cfg = normalizeConfig(data ? { ...data, noCors: data.no_cors } : null);
+                localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify(cfg));
+            } catch (error) {
+                console.warn('⚠️ Could not load thermal printer settings, using cache:', error.message || error);
+            }
+        }
+        return getConfig();
+    }
+
+    // Settings in effect (loaded once per page; pass true to reload)
+    function load(force) {
+        if (force || !settingsPromise) settingsPromise = fetchSettings();
+        return settingsPromise;
+    }
+
+    // Save the organization's settings (admins only, checked by save_thermal_printer)
+    async function save(settings) {
+        const sb = getClient();
+        if (!sb) return { success: false, error: new Error('Supabase client not available') };
+        const cfg = normalizeConfig(settings);
+
+        try {
+            const { error } = await sb.rpc('save_thermal_printer', {
+                settings: { language: cfg.language, dpi: cfg.dpi, endpoint: cfg.endpoint, no_cors: cfg.noCors }
+            });
+            if (error) throw error;
+            localStorage.setItem(CONFIG.CACHE_KEY, JSON.stringify(cfg));
+            settingsPromise = null;
+            return { success: true, data: cfg };
+        } catch (error) {
+            console.error('Error saving thermal printer settings:', error);
+            return { success: false, error };
+        }
+    }
+
+    function parseSize(str, kind) {
+        const t = String(str || CONFIG.DEFAULT_SIZE[kind] || '160x110').trim().toLowerCase();
+        const m = t.match(/^(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)$/);
+        if (!m) return parseSize(CONFIG.DEFAULT_SIZE[kind] || '160x110', kind);
+        // Labels feed landscape: the wider edge is the print width
+        const a = +m[1], b = +m[2];
+        return { w: Math.max(a, b), h: Math.min(a, b) };
+    }
+
+    function sizeLabel(str, kind) {
+        const { w, h } = parseSize(str, kind);
+        return `${w}x${h}`;
+    }
+
+    const s = (v) => (v == null ? '' : String(v)).trim();
+
+    // Normalised label content: code + barcode fields + key/value rows
+    function labelContent(kind, p) {
+        p = p || {};
+        const code = s(p.code || p.profile_code);
+        const loc = [s(p.warehouseNo || p.warehouse_no), s(p.rackNo || p.rack_no)];
+        const rows = kind === 'accessory'
+            ? [
+                ['Type', s(p.type || p.accessory_type)],
+                ['Quantity', s(p.printQuantity || p.qty)],
+                ['WH / Rack', loc.filter(Boolean).join(' / ')],
+                ['Remarks', s(p.remarks)]
+            ]
+            : [
+                ['Profile Title', s(p.profileTitle || p.profile_title)],
+                ['Alloy', s(p.alloy)],
+                ['Finish', s(p.finish)],
+                ['Quantity', s(p.quantityText || p.qty)],
+                ['Length', s(p.lengthText || p.length)],
+                ['WH / Rack', loc.filter(Boolean).join(' / ')],
+                ['Remarks', s(p.remarks)]
+            ];
+        return {
+            code,
+            barcode: s(p.barcode) || code || '-',
+            quantity: kind === 'accessory' ? s(p.printQuantity || p.qty) : s(p.quantityText || p.qty),
+            length: s(p.lengthText || p.length),
+            description: s(p.description),
+            rows: rows.filter(([, v]) => v)
+        };
+    }
+
+    // Proportional layout in dots for a label size / resolution
+    function layout(size, dpi) {
+        const dpmm = dpi / 25.4;
+        const d = (mm) => Math.round(mm * dpmm);
+        const W = d(size.w), H = d(size.h), M = d(CONFIG.MARGIN_MM);
+        const font = Math.max(d(2.6), Math.round(H / 16));      // body text height
+        const head = Math.round(font * 1.25);                  // code / description
+        const barcodeH = Math.max(d(8), Math.round(H * 0.2));
+        const module = Math.max(2, Math.round(dpi / 100));     // narrow bar width in dots
+        return { dpmm, W, H, M, font, head, barcodeH, module, lineGap: Math.round(font * 0.35), keyW: Math.round(W * 0.28) };
+    }
+
+    // Symbology + encoded text for the label's barcode config; Code 128 without js/label-barcode.js
+    function symbol(c, cfg) {
+        if (!window.LabelBarcode) return { symbology: 'code128', text: c.barcode };
+        const bc = LabelBarcode.normalize(cfg);
+        const v = LabelBarcode.value(bc, c);
+        if (bc.symbology !== 'code128' && !v.text) return { symbology: 'code128', text: c.barcode };
+        return { symbology: bc.symbology, text: v.text };
+    }
+
+    // Module size in dots for a 2D symbol that fits the barcode height (QR / DataMatrix with quiet zone)
+    function module2D(L, text) {
+        const cells = text.length > 32 ? 41 : 29;
+        return Math.max(1, Math.min(10, Math.floor(L.barcodeH / cells)));
+    }
+
+    /* ---------------- ZPL II ---------------- */
+
+    // ^FH hex escaping keeps ^ ~ _ inside field data
+    function zplText(v) {
+        return s(v).replace(/[_^~]/g, (c) => '_' + c.charCodeAt(0).toString(16).toUpperCase());
+    }
+
+    function zplBarcode(L, y, bc) {
+        const at = `^FO${L.M},${y}`;
+        switch (bc.symbology) {
+            case 'gs1-128':   // mode D: FNC1 and AI parentheses handled by the printer
+                return `${at}^BY${L.module},3,${L.barcodeH}^BCN,${L.barcodeH},N,N,N,D^FH^FD${zplText(bc.text)}^FS`;
+            case 'qrcode':
+                return `${at}^BQN,2,${module2D(L, bc.text)}^FH^FDMA,${zplText(bc.text)}^FS`;
+            case 'datamatrix':
+                return `${at}^BXN,${module2D(L, bc.text)},200^FH^FD${zplText(bc.text)}^FS`;
+            default:
+                return `${at}^BY${L.module},3,${L.barcodeH}^BCN,${L.barcodeH},N,N,N^FH^FD${zplText(bc.text)}^FS`;
+        }
+    }
+
+    // opts: { dpi, labelSize, copies, barcode } (barcode = template barcode config, see js/label-barcode.js)
+    function toZPL(kind, payload, opts = {}) {
+        const dpi = CONFIG.DPI.includes(+opts.dpi) ? +opts.dpi : DEFAULTS.dpi;
+        const size = parseSize(opts.labelSize || payload?.labelSize, kind);
+        const L = layout(size, dpi);
+        const c = labelContent(kind, payload);
+        const out = ['^XA', '^CI28', `^PW${L.W}`, `^LL${L.H}`, '^LH0,0'];
+        let y = L.M;
+
+        out.push(zplBarcode(L, y, symbol(c, opts.barcode)));
+        y += L.barcodeH + L.lineGap;
+        out.push(`^FO${L.M},${y}^A0N,${L.head},${L.head}^FH^FD${zplText(c.code)}^FS`);
+        y += L.head + L.lineGap;
+        if (c.description) {
+            out.push(`^FO${L.M},${y}^A0N,${L.font},${L.font}^FB${L.W - 2 * L.M},2,${L.lineGap},L,0^FH^FD${zplText(c.description)}^FS`);
+            y += 2 * (L.font + L.lineGap);
+        }
+        out.push(`^FO${L.M},${y}^GB${L.W - 2 * L.M},2,2^FS`);
+        y += L.lineGap * 2;
+        for (const [k, v] of c.rows) {
+            if (y + L.font > L.H - L.M) break;
+            out.push(`^FO${L.M},${y}^A0N,${L.font},${L.font}^FH^FD${zplText(k)}^FS`);
+            out.push(`^FO${L.M + L.keyW},${y}^A0N,${L.font},${L.font}^FB${L.W - 2 * L.M - L.keyW},1,0,L,0^FH^FD${zplText(v)}^FS`);
+            y += L.font + L.lineGap;
+        }
+        out.push(`^PQ${Math.max(1, parseInt(opts.copies, 10) || 1)}`, '^XZ');
+        return out.join('\n');
+    }
+
+    /* ---------------- TSPL ---------------- */
+
+    function tsplText(v) {
+        return s(v).replace(/"/g, '\\["]');
+    }
+
+    function tsplBarcode(L, y, bc) {
+        const text = tsplText(bc.text);
+        switch (bc.symbology) {
+            case 'gs1-128':
+                return `BARCODE ${L.M},${y},"EAN128",${L.barcodeH},0,0,${L.module},${L.module * 2},"${text}"`;
+            case 'qrcode':
+                return `QRCODE ${L.M},${y},M,${module2D(L, bc.text)},A,0,"${text}"`;
+            case 'datamatrix':
+                return `DMATRIX ${L.M},${y},${L.barcodeH},${L.barcodeH},x${module2D(L, bc.text)},"${text}"`;
+            default:
+                return `BARCODE ${L.M},${y},"128",${L.barcodeH},0,0,${L.module},${L.module * 2},"${text}"`;
+        }
+    }
+
+    function toTSPL(kind, payload, opts = {}) {
+        const dpi = CONFIG.DPI.includes(+opts.dpi) ? +opts.dpi : DEFAULTS.dpi;
+        const size = parseSize(opts.labelSize || payload?.labelSize, kind);
+        const L = layout(size, dpi);
+        const c = labelContent(kind, payload);
+        // Font "0" is scalable; multipliers are point sizes
+        const pt = (dots) => Math.max(6, Math.round(dots / (dpi / 72)));
+        const out = [
+            `SIZE ${size.w} mm,${size.h} mm`,
+            `GAP ${CONFIG.GAP_MM} mm,0 mm`,
+            'DIRECTION 1',
+            'REFERENCE 0,0',
+            'CODEPAGE UTF-8',
+            'CLS'
+        ];
+        let y = L.M;
+
+        out.push(tsplBarcode(L, y, symbol(c, opts.barcode)));
+        y += L.barcodeH + L.lineGap;
+        out.push(`TEXT ${L.M},${y},"0",0,${pt(L.head)},${pt(L.head)},"${tsplText(c.code)}"`);
+        y += L.head + L.lineGap;
+        if (c.description) {
+            const h = 2 * (L.font + L.lineGap);
+            out.push(`BLOCK ${L.M},${y},${L.W - 2 * L.M},${h},"0",0,${pt(L.font)},${pt(L.font)},"${tsplText(c.description)}"`);
+            y += h;
+        }
+        out.push(`BAR ${L.M},${y},${L.W - 2 * L.M},2`);
+        y += L.lineGap * 2;
+        for (const [k, v] of c.rows) {
+            if (y + L.font > L.H - L.M) break;
+            out.push(`TEXT ${L.M},${y},"0",0,${pt(L.font)},${pt(L.font)},"${tsplText(k)}"`);
+            out.push(`TEXT ${L.M + L.keyW},${y},"0",0,${pt(L.font)},${pt(L.font)},"${tsplText(v)}"`);
+            y += L.font + L.lineGap;
+        }
+        out.push(`PRINT 1,${Math.max(1, parseInt(opts.copies, 10) || 1)}`);
+        return out.join('\r\n');
+    }
+
+    // Build one job for many labels: [{ payload, labelSize, copies, barcode }]; opts.barcode is the default
+    function generate(kind, entries, opts = {}) {
+        const cfg = getConfig();
+        const language = CONFIG.LANGUAGES.includes(opts.language) ? opts.language : cfg.language;
+        const dpi = opts.dpi || cfg.dpi;
+        const fn = language === 'tspl' ? toTSPL : toZPL;
+        const sep = language === 'tspl' ? '\r\n' : '\n';
+        return (entries || []).map(e => fn(kind, e.payload, {
+            dpi,
+            labelSize: e.labelSize || opts.labelSize,
+            copies: e.copies,
+            barcode: e.barcode || opts.barcode
+        })).join(sep) + sep;
+    }
+
+    function download(text, filename) {
+        const blob = new Blob([text], { type: 'text/plain' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        setTimeout(() => { URL.revokeObjectURL(a.href); a.remove(); }, 1000);
+    }
+
+    function fileName(kind, language, code) {
+        const ext = language === 'tspl' ? 'prn' : 'zpl';
+        const base = s(code).replace(/[^\w.-]+/g, '_') || `${kind}-labels`;
+        return `${base}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+    }
+
+    // Browsers cannot open raw sockets: the endpoint is an HTTP bridge that forwards
+    // the body to the printer's raw port (9100), or a Zebra printer's /pstprnt URL.
+    async function send(text, cfg = getConfig()) {
+        if (!cfg.endpoint) return { success: false, error: 'No thermal printer endpoint configured' };
+        try {
+            const resp = await fetch(cfg.endpoint, {
+                method: 'POST',
+                mode: cfg.noCors ? 'no-cors' : 'cors',
+                headers: { 'Content-Type': 'text/plain' },
+                body: text
+            });
+            if (!cfg.noCors && !resp.ok) throw new Error(`HTTP ${resp.status}`);
+            return { success: true, confirmed: !cfg.noCors };
+        } catch (error) {
+            console.error('❌ Thermal print send failed:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
+    // Wire the preview-page toolbar (#thermalLang, #thermalDpi, #btnThermalDownload, #btnThermalSend);
+    // getBarcode() returns the barcode config on screen, for entries without their own
+    function bindToolbar(kind, getEntries, getBarcode) {
+        const lang = document.getElementById('thermalLang');
+        const dpi = document.getElementById('thermalDpi');
+        const dl = document.getElementById('btnThermalDownload');
+        const send_ = document.getElementById('btnThermalSend');
+        if (!lang || !dpi) return;
+
+        const show = (cfg) => {
+            lang.value = cfg.language;
+            dpi.value = String(cfg.dpi);
+            if (send_) {
+                send_.disabled = !cfg.endpoint;
+                send_.title = cfg.endpoint ? `Send to ${cfg.endpoint}` : 'No printer endpoint configured (Admin → System Settings)';
+            }
+        };
+        show(getConfig());
+        load().then(show);
+
+        const build = () => {
+            const entries = getEntries() || [];
+            const barcode = getBarcode ? getBarcode() : null;
+            return {
+                entries,
+                text: entries.length ? generate(kind, entries, { language: lang.value, dpi: +dpi.value, barcode }) : ''
+            };
+        };
+
+        dl?.addEventListener('click', () => {
+            const { entries, text } = build();
+            if (!text) return alert('Nothing to export.');
+            download(text, fileName(kind, lang.value, entries.length === 1 ? entries[0].payload?.code : ''));
+        });
+        send_?.addEventListener('click', async () => {
+            const { entries, text } = build();
+            if (!text) return alert('Nothing to send.');
+            send_.disabled = true;
+            const res = await send(text);
+            send_.disabled = false;
+            if (!res.success) return alert('❌ Failed to send to printer: ' + res.error);
+            window.PrintLog?.log(entries.map(e => ({
+                kind, payload: e.payload, copies: e.copies, labelSize: sizeLabel(e.labelSize || e.payload?.labelSize, kind)
+            })), { source: 'thermal' });
+            alert(res.confirmed ? '✅ Sent to printer.' : '✅ Sent to printer (no confirmation available).');
+        });
+    }
+
+    window.ThermalLabel = {
+        SIZES: CONFIG.SIZES,
+        DPI: CONFIG.DPI,
+        getConfig,
+        getOrgConfig,
+        getOverride,
+        setOverride,
+        load,
+        save,
+        toZPL,
+        toTSPL,
+        generate,
+        download,
+        fileName,
+        send,
+        bindToolbar
+    };
+
+})();
@@ -0,0 +1,342 @@
+/**
+ * Warehouses & Racks
+ * Admin page: edits the warehouses / racks master data (#warehouse-master-overlay), imports it
+ * from a CSV / Excel sheet and reports the inventory locations the master data does not know
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const overlay = document.getElementById('warehouse-master-overlay');
+  const tile = document.getElementById('warehouse-master-tile');
+  if (!overlay || !tile || !window.WarehouseMaster) return;
+
+  const el = (id) => document.getElementById(id);
+  const esc = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  const num = (n) => n == null ? '' : Number(n).toLocaleString(undefined, { maximumFractionDigits: 3 });
+  const status = (text) => { el('wm-status').textContent = text || ''; };
+
+  let master = { warehouses: [], racks: [] };
+  let selectedWarehouse = null;
+  let editingWarehouse = null;
+  let editingRack = null;
+  let parsedImport = null;
+  let report = [];
+  let tab = 'master';
+
+  const loadMaster = async () => {
+    const res = await WarehouseMaster.load();
+    if (!res.success) {
+      status(`Could not load warehouses / racks: ${res.error?.message || res.error}`);
+      return false;
+    }
+    master = res.data;
+    if (selectedWarehouse) selectedWarehouse = master.warehouses.find(w => w.id === selectedWarehouse.id) || null;
+    if (!selectedWarehouse) selectedWarehouse = master.warehouses[0] || null;
+    return true;
+  };
+
+  /* ---------- Master data ---------- */
+
+  const renderWarehouses = () => {
+    if (!master.warehouses.length) {
+      el('wm-warehouses').innerHTML = '<p class="text-sm text-gray-400">No warehouses yet.</p>';
+      return;
+    }
+    const rackCount = (id) => master.racks.filter(r => r.warehouse_id === id).length;
+    el('wm-warehouses').innerHTML = `<table class="iw-table"><thead><tr><th>Code</th><th>Name</th><th>Racks</th><th>Active</th><th></th></tr></thead><tbody>`
+      + master.warehouses.map(w => `<tr class="cursor-pointer hover:bg-gray-700/40 ${w.id === selectedWarehouse?.id ? 'text-amber-400' : ''} ${w.active === false ? 'opacity-60' : ''}" data-id="${w.id}">
+          <td>${esc(w.code)}</td><td>${esc(w.name)}</td><td>${rackCount(w.id)}</td><td>${w.active === false ? 'No' : 'Yes'}</td>
+          <td><button class="text-xs text-gray-400 hover:text-amber-400" data-edit="${w.id}" type="button">Edit</button>
+          <button class="text-xs text-gray-400 hover:text-red-400 ml-2" data-delete="${w.id}" type="button">Delete</button></td></tr>`).join('')
+      + '</tbody></table>';
+  };
+
+  const renderRacks = () => {
+    const form = el('wm-rack-form');
+    form.classList.toggle('hidden', !selectedWarehouse);
+    el('wm-racks-title').textContent = selectedWarehouse ? `Racks in ${selectedWarehouse.code}` : 'Racks';
+    if (!selectedWarehouse) {
+      el('wm-racks').innerHTML = '<p class="text-sm text-gray-400">Add a warehouse first.</p>';
+      return;
+    }
+    const racks = master.racks.filter(r => r.warehouse_id === selectedWarehouse.id);
+    if (!racks.length) {
+      el('wm-racks').innerHTML = '<p class="text-sm text-gray-400">No racks in this warehouse.</p>';
+      return;
+    }
+    el('wm-racks').innerHTML = `<table class="iw-table"><thead><tr><th>Code</th><th>Name</th><th>Zone</th><th>Aisle</th><th>Level</th><th>Capacity</th><th>Active</th><th></th></tr></thead><tbody>`
+      + racks.map(r => `<tr class="${r.active === false ? 'opacity-60' : ''}">
+          <td>${esc(r.code)}</td><td>${esc(r.name)}</td><td>${esc(r.zone)}</td><td>${esc(r.aisle)}</td><td>${esc(r.level)}</td>
+          <td>${num(r.capacity)}</td><td>${r.active === false ? 'No' : 'Yes'}</td>
+          <td><button class="text-xs text-gray-400 hover:text-amber-400" data-edit="${r.id}" type="button">Edit</button>
+          <button class="text-xs text-gray-400 hover:text-red-400 ml-2" data-delete="${r.id}" type="button">Delete</button></td></tr>`).join('')
+      + '</tbody></table>';
+  };
+
+  const renderMaster = () => {
+    renderWarehouses();
+    renderRacks();
+  };
+
+  const editWarehouse = (w) => {
+    editingWarehouse = w;
+    el('wm-wh-code').value = w?.code || '';
+    el('wm-wh-name').value = w?.name || '';
+    el('wm-wh-active').checked = w ? w.active !== false : true;
+    el('wm-wh-save').textContent = w ? 'Save' : 'Add';
+    el('wm-wh-cancel').classList.toggle('hidden', !w);
+  };
+
+  const editRack = (r) => {
+    editingRack = r;
+    el('wm-rack-code').value = r?.code || '';
+    el('wm-rack-name').value = r?.name || '';
+    el('wm-rack-zone').value = r?.zone || '';
+    el('wm-rack-aisle').value = r?.aisle || '';
+    el('wm-rack-level').value = r?.level || '';
+    el('wm-rack-capacity').value = r?.capacity ?? '';
+    el('wm-rack-active').checked = r ? r.active !== false : true;
+    el('wm-rack-save').textContent = r ? 'Save' : 'Add';
+    el('wm-rack-cancel').classList.toggle('hidden', !r);
+  };
+
+  const saveWarehouse = async (e) => {
+    e.preventDefault();
+    const res = await WarehouseMaster.saveWarehouse({
+      id: editingWarehouse?.id,
+      code: el('wm-wh-code').value,
+      name: el('wm-wh-name').value,
+      active: el('wm-wh-active').checked
+    });
+    if (!res.success) {
+      status(`Could not save the warehouse: ${res.error?.message || res.error}`);
+      return;
+    }
+    console.log(`🗄️ Warehouse ${res.data.code} ${editingWarehouse ? 'updated' : 'added'}`);
+    status('');
+    selectedWarehouse = res.data;
+    editWarehouse(null);
+    if (await loadMaster()) renderMaster();
+  };
+
+  const saveRack = async (e) => {
+    e.preventDefault();
+    if (!selectedWarehouse) return;
+    const res = await WarehouseMaster.saveRack({
+      id: editingRack?.id,
+      warehouse_id: selectedWarehouse.id,
+      code: el('wm-rack-code').value,
+      name: el('wm-rack-name').value,
+      zone: el('wm-rack-zone').value,
+      aisle: el('wm-rack-aisle').value,
+      level: el('wm-rack-level').value,
+      capacity: el('wm-rack-capacity').value,
+      active: el('wm-rack-active').checked
+    });
+    if (!res.success) {
+      status(`Could not save the rack: ${res.error?.message || res.error}`);
+      return;
+    }
+    console.log(`🗄️ Rack ${selectedWarehouse.code} / ${res.data.code} ${editingRack ? 'updated' : 'added'}`);
+    status('');
+    editRack(null);
+    if (await loadMaster()) renderMaster();
+  };
+
+  const removeRow = async (table, row, question) => {
+    if (!confirm(question)) return;
+    const res = await WarehouseMaster.remove(table, row.id);
+    if (!res.success) {
+      status(`Could not delete ${row.code}: ${res.error?.message || res.error}`);
+      return;
+    }
+    console.log(`🗑️ Deleted ${table === 'racks' ? 'rack' : 'warehouse'} ${row.code}`);
+    status('');
+    if (table === 'warehouses' && selectedWarehouse?.id === row.id) selectedWarehouse = null;
+    if (await loadMaster()) renderMaster();
+  };
+
+  el('wm-warehouses').addEventListener('click', (e) => {
+    const edit = e.target.closest('[data-edit]');
+    const del = e.target.closest('[data-delete]');
+    const tr = e.target.closest('tr[data-id]');
+    if (!tr) return;
+    const w = master.warehouses.find(x => String(x.id) === tr.dataset.id);
+    if (!w) return;
+    if (edit) return editWarehouse(w);
+    if (del) {
+      const racks = master.racks.filter(r => r.warehouse_id === w.id).length;
+      return removeRow('warehouses', w, `Delete warehouse ${w.code}${racks ? ` and its ${racks} rack(s)` : ''}?`);
+    }
+    selectedWarehouse = w;
+    editRack(null);
+    renderMaster();
+  });
+
+  el('wm-racks').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-edit], [data-delete]');
+    if (!btn) return;
+    const r = master.racks.find(x => String(x.id) === (btn.dataset.edit || btn.dataset.delete));
+    if (!r) return;
+    if (btn.dataset.edit) editRack(r);
+    else removeRow('racks', r, `Delete rack ${r.code} from warehouse ${selectedWarehouse?.code}?`);
+  });
+
+  /* ---------- Import ---------- */
+
+  const renderImport = () => {
+    el('wm-import-run').disabled = !parsedImport || (!parsedImport.warehouses.length && !parsedImport.racks.length);
+    if (!parsedImport) {
+      el('wm-import-preview').innerHTML = '';
+      return;
+    }
+    const known = (code) => master.warehouses.some(w => w.code.toLowerCase().replace(/\s+/g, '') === code.toLowerCase().replace(/\s+/g, ''));
+    const newWarehouses = parsedImport.warehouses.filter(w => !known(w.code)).length;
+    el('wm-import-preview').innerHTML = `<table class="iw-table mb-3"><tbody>
+        <tr><th>Warehouses</th><td>${parsedImport.warehouses.length} (${newWarehouses} new)</td><th>Racks</th><td>${parsedImport.racks.length}</td><th>Skipped rows</th><td>${parsedImport.errors.length}</td></tr>
+      </tbody></table>`
+      + (parsedImport.errors.length
+        ? `<table class="iw-table mb-3"><thead><tr><th>Row</th><th>Problem</th></tr></thead><tbody>`
+          + parsedImport.errors.map(x => `<tr><td>${x.row}</td><td class="text-red-400">${esc(x.message)}</td></tr>`).join('')
+          + '</tbody></table>'
+        : '')
+      + (parsedImport.racks.length
+        ? `<table class="iw-table"><thead><tr><th>Warehouse</th><th>Rack</th><th>Name</th><th>Zone</th><th>Aisle</th><th>Level</th><th>Capacity</th><th>Active</th></tr></thead><tbody>`
+          + parsedImport.racks.slice(0, 50).map(r => `<tr><td>${esc(r.warehouse)}</td><td>${esc(r.code)}</td><td>${esc(r.name)}</td>
+              <td>${esc(r.zone)}</td><td>${esc(r.aisle)}</td><td>${esc(r.level)}</td><td>${num(r.capacity)}</td>
+              <td>${r.active === undefined ? '' : r.active ? 'Yes' : 'No'}</td></tr>`).join('')
+          + '</tbody></table>'
+          + (parsedImport.racks.length > 50 ? `<p class="text-xs text-gray-400 mt-1">First 50 of ${parsedImport.racks.length} racks</p>` : '')
+        : '');
+  };
+
+  const chooseFile = async () => {
+    const file = el('wm-import-file').files[0];
+    el('wm-import-file').value = '';
+    if (!file) return;
+    el('wm-import-name').textContent = file.name;
+    try {
+      parsedImport = await WarehouseMaster.readFile(file);
+      status('');
+    } catch (error) {
+      parsedImport = null;
+      status(`Could not read ${file.name}: ${error.message}`);
+    }
+    renderImport();
+  };
+
+  const runImport = async () => {
+    if (!parsedImport) return;
+    el('wm-import-run').disabled = true;
+    const res = await WarehouseMaster.importRows(parsedImport);
+    if (!res.success) {
+      status(`Import failed: ${res.error?.message || res.error}`);
+      el('wm-import-run').disabled = false;
+      return;
+    }
+    status(`Imported ${res.data.warehouses} warehouse(s) and ${res.data.racks} rack(s).`);
+    parsedImport = null;
+    el('wm-import-name').textContent = '';
+    await loadMaster();
+    renderImport();
+  };
+
+  /* ---------- Reconciliation ---------- */
+
+  const loadReport = async () => {
+    el('wm-rec-list').innerHTML = '<p class="text-sm text-gray-400">Loading…</p>';
+    if (window.InventoryData) {
+      try { await InventoryData.init(); } catch (e) { console.warn('⚠️ Inventory not loaded:', e); }
+    }
+    const records = window.InventoryData?.get().records || { profiles: [], accessories: [] };
+    report = WarehouseMaster.reconcile(master, records);
+
+    const items = (e) => e.profiles + e.accessories;
+    const count = (issue) => report.filter(e => e.issue === issue).length;
+    el('wm-rec-summary').innerHTML = `<tbody>
+      <tr><th>Inventory rows</th><td>${records.profiles.length + records.accessories.length}</td><th>Locations with issues</th><td>${report.length}</td><th>Items affected</th><td>${report.reduce((n, e) => n + items(e), 0)}</td></tr>
+      <tr><th>Unknown warehouses</th><td>${count('unknown-warehouse')}</td><th>Unknown racks</th><td>${count('unknown-rack')}</td><th>Inactive</th><td>${count('inactive')}</td></tr>
+    </tbody>`;
+    el('wm-rec-add-all').disabled = !report.some(e => e.issue !== 'inactive');
+    if (!report.length) {
+      el('wm-rec-list').innerHTML = '<p class="text-sm text-green-400">Every inventory location exists in the master data.</p>';
+      return;
+    }
+    el('wm-rec-list').innerHTML = `<table class="iw-table"><thead><tr><th>Warehouse No</th><th>Rack No</th><th>Issue</th><th>Profiles</th><th>Accessories</th><th>Sample codes</th><th></th></tr></thead><tbody>`
+      + report.map((e, i) => `<tr><td>${esc(e.warehouse)}</td><td>${esc(e.rack)}</td>
+          <td class="${e.issue === 'inactive' ? 'text-amber-400' : 'text-red-400'}">${esc(WarehouseMaster.ISSUES[e.issue])}</td>
+          <td>${e.profiles}</td><td>${e.accessories}</td><td>${esc(e.codes.join(', '))}</td>
+          <td>${e.issue === 'inactive' ? '' : `<button class="text-xs text-gray-400 hover:text-amber-400" data-add="${i}" type="button">Add</button>`}</td></tr>`).join('')
+      + '</tbody></table>';
+  };
+
+  // Unknown locations -> master data (the same upsert as the CSV import)
+  const addLocations = async (entries) => {
+    const unknown = entries.filter(e => e.issue !== 'inactive');
+    if (!unknown.length) return;
+    const res = await WarehouseMaster.importRows({
+      warehouses: [...new Map(unknown.map(e => [e.warehouse.toLowerCase().replace(/\s+/g, ''), { code: e.warehouse }])).values()],
+      racks: unknown.filter(e => e.rack).map(e => ({ warehouse: e.warehouse, code: e.rack })),
+      errors: []
+    });
+    if (!res.success) {
+      status(`Could not add the locations: ${res.error?.message || res.error}`);
+      return;
+    }
+    status(`Added ${res.data.racks} rack(s) to the master data.`);
+    if (await loadMaster()) loadReport();
+  };
+
+  el('wm-rec-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-add]');
+    if (btn) addLocations([report[Number(btn.dataset.add)]]);
+  });
+
+  /* ---------- Overlay ---------- */
+
+  const showTab = (name) => {
+    tab = name;
+    overlay.querySelectorAll('[data-wm-tab]').forEach(b => b.classList.toggle('active', b.dataset.wmTab === name));
+    overlay.querySelectorAll('[data-wm-panel]').forEach(p => p.classList.toggle('hidden', p.dataset.wmPanel !== name));
+    status('');
+    if (name === 'master') renderMaster();
+    if (name === 'import') renderImport();
+    if (name === 'reconcile') loadReport();
+  };
+
+  const open = async () => {
+    overlay.classList.remove('hidden');
+    overlay.setAttribute('aria-hidden', 'false');
+    el('wm-warehouses').innerHTML = '<p class="text-sm text-gray-400">Loading…</p>';
+    el('wm-racks').innerHTML = '';
+    editWarehouse(null);
+    editRack(null);
+    if (await loadMaster()) showTab(tab);
+  };
+
+  const close = () => {
+    overlay.classList.add('hidden');
+    overlay.setAttribute('aria-hidden', 'true');
+  };
+
+  tile.addEventListener('click', (e) => {
+    e.preventDefault();
+    open();
+  });
+  el('wm-close').addEventListener('click', close);
+  overlay.addEventListener('click', (e) => { if (e.target === overlay) close(); });
+  overlay.querySelectorAll('[data-wm-tab]').forEach(b => b.addEventListener('click', () => showTab(b.dataset.wmTab)));
+  el('wm-wh-form').addEventListener('submit', saveWarehouse);
+  el('wm-wh-cancel').addEventListener('click', () => editWarehouse(null));
+  el('wm-rack-form').addEventListener('submit', saveRack);
+  el('wm-rack-cancel').addEventListener('click', () => editRack(null));
+  el('wm-import-choose').addEventListener('click', () => el('wm-import-file').click());
+  el('wm-import-file').addEventListener('change', chooseFile);
+  el('wm-import-template').addEventListener('click', () => WarehouseMaster.download(WarehouseMaster.templateCSV(), 'warehouses_racks_template.csv'));
+  el('wm-import-run').addEventListener('click', runImport);
+  el('wm-rec-refresh').addEventListener('click', loadReport);
+  el('wm-rec-export').addEventListener('click', () => WarehouseMaster.download(WarehouseMaster.reconcileCSV(report), `location_reconciliation_${new Date().toISOString().slice(0, 10)}.csv`));
+  el('wm-rec-add-all').addEventListener('click', () => {
+    const n = report.filter(e => e.issue !== 'inactive').length;
+    if (confirm(`Add ${n} unknown location(s) to the master data?`)) addLocations(report);
+  });
+});
@@ -0,0 +1,330 @@
+// Warehouse / rack master data (warehouses, racks; see warehouse_master_schema.sql)
+// load() reads both tables, saveWarehouse() / saveRack() / remove() are the admin edits and
+// importRows() upserts a CSV / Excel sheet of warehouses and racks in one go; all of them go
+// through SupabaseAPI (assets/js/supabase-overlay.js).
+// reconcile() lists the warehouse_no / rack_no values of the inventory that the master data
+// does not know (or has deactivated), so the free-text locations of the Excel sheets can be
+// cleaned up or added; templateCSV() / reconcileCSV() are the downloads of the admin screen.
+
+(function() {
+    'use strict';
+
+    const { s, normCode } = window.AlumilCommon;
+
+    const CONFIG = {
+        EVENT: 'warehouseMasterUpdated',
+        // Sheet headers (lower case, '_' as space) -> field
+        COLUMNS: {
+            'warehouse': 'warehouse', 'warehouse code': 'warehouse', 'warehouse no': 'warehouse', 'wh': 'warehouse',
+            'warehouse name': 'warehouse_name',
+            'rack': 'rack', 'rack code': 'rack', 'rack no': 'rack',
+            'rack name': 'rack_name', 'name': 'name',
+            'zone': 'zone', 'aisle': 'aisle', 'level': 'level',
+            'capacity': 'capacity', 'active': 'active'
+        },
+        INACTIVE: ['no', 'n', 'false', '0', 'inactive'],
+        SAMPLE_CODES: 5
+    };
+
+    const ISSUES = {
+        'unknown-warehouse': 'Warehouse not in master data',
+        'unknown-rack': 'Rack not in master data',
+        'inactive': 'Inactive in master data'
+    };
+
+    function api() {
+        return window.SupabaseAPI || null;
+    }
+
+    function unavailable() {
+        return { success: false, error: new Error('Supabase client not available') };
+    }
+
+    function changed(detail) {
+        window.dispatchEvent(new CustomEvent(CONFIG.EVENT, { detail }));
+    }
+
+    // Friendlier text for the errors an admin can actually fix
+    function explain(error) {
+        if (error?.code === '23505') return new Error('That code already exists');
+        if (error?.code === '23503') return new Error('Still used by item locations or bin card movements; deactivate it instead');
+        if (error?.code === '42501') return new Error('Only admins can change warehouses and racks');
+        return error;
+    }
+
+    /**
+     * Both tables: { success, data: { warehouses, racks } }
+     */
+    function load() {
+        return api()?.getMasterData ? api().getMasterData() : Promise.resolve(unavailable());
+    }
+
+    async function save(table, id, row) {
+        const sb = api();
+        if (!sb) return unavailable();
+        const res = table === 'warehouses'
+            ? (id ? await sb.updateWarehouse(id, row) : await sb.addWarehouse(row.code, row.name, row))
+            : (id ? await sb.updateRack(id, row) : await sb.addRack(row.warehouse_id, row.code, row));
+        if (!res.success) return { success: false, error: explain(res.error) };
+        changed({ table, row: res.data });
+        return res;
+    }
+
+    /**
+     * Add (no id) or update a warehouse: { id, code, name, active }
+     */
+    function saveWarehouse(w) {
+        if (!s(w.code)) return Promise.resolve({ success: false, error: new Error('Enter a warehouse code') });
+        return save('warehouses', w.id, { code: s(w.code), name: s(w.name), active: w.active !== false });
+    }
+
+    /**
+     * Add (no id) or update a rack: { id, warehouse_id, code, name, zone, aisle, level, capacity, active }
+     */
+    function saveRack(r) {
+        if (!r.warehouse_id) return Promise.resolve({ success: false, error: new Error('Choose a warehouse') });
+        if (!s(r.code)) return Promise.resolve({ success: false, error: new Error('Enter a rack code') });
+        const capacity = s(r.capacity) === '' ? null : Number(r.capacity);
+        if (capacity !== null && !(capacity >= 0)) {
+            return Promise.resolve({ success: false, error: new Error('Capacity must be a number of zero or more') });
+        }
+        return save('racks', r.id, {
+            warehouse_id: r.warehouse_id,
+            code: s(r.code),
+            name: s(r.name),
+            zone: s(r.zone) || null,
+            aisle: s(r.aisle) || null,
+            level: s(r.level) || null,
+            capacity,
+            active: r.active !== false
+        });
+    }
+
+    /**
+     * Delete a warehouse (with its racks) or a rack. Fails while stock references it.
+     */
+    async function remove(table, id) {
+        const sb = api();
+        if (!sb) return unavailable();
+        const res = table === 'warehouses' ? await sb.deleteWarehouse(id) : await sb.deleteRack(id);
+        if (!res.success) return { success: false, error: explain(res.error) };
+        changed({ table, removed: id });
+        return res;
+    }
+
+    /* ---------- Import ---------- */
+
+    function parseActive(v) {
+        if (s(v) === '') return undefined;
+        return !CONFIG.INACTIVE.includes(s(v).toLowerCase());
+    }
+
+    /**
+     * Sheet rows (XLSX sheet_to_json) -> { warehouses: [{ code, name?, active? }],
+     * racks: [{ warehouse, code, name?, zone?, aisle?, level?, capacity?, active? }], errors: [{ row, message }] }
+     * Only the columns present in the sheet are set, so a partial sheet does not blank the rest.
+     * A row without a rack describes the warehouse itself.
+     */
+    function fromSheetRows(rows) {
+        const warehouses = new Map();
+        const racks = new Map();
+        const errors = [];
+
+        (rows || []).forEach((raw, i) => {
+            const row = {};
+            Object.keys(raw).forEach(key => {
+                const field = CONFIG.COLUMNS[key.toLowerCase().replace(/_/g, ' ').trim()];
+                if (field) row[field] = raw[key];
+            });
+            const line = i + 2;  // header is row 1
+            const wh = s(row.warehouse);
+            const rack = s(row.rack);
+            if (!wh) {
+                if (Object.values(row).some(v => s(v))) errors.push({ row: line, message: 'No warehouse code' });
+                return;
+            }
+
+            const w = warehouses.get(normCode(wh)) || { code: wh };
+            const whName = 'warehouse_name' in row ? row.warehouse_name : (!rack && 'name' in row ? row.name : undefined);
+            if (s(whName)) w.name = s(whName);
+            if (!rack && parseActive(row.active) !== undefined) w.active = parseActive(row.active);
+            warehouses.set(normCode(wh), w);
+            if (!rack) return;
+
+            const r = { warehouse: wh, code: rack };
+            const rackName = 'rack_name' in row ? row.rack_name : row.name;
+            if (rackName !== undefined) r.name = s(rackName);
+            ['zone', 'aisle', 'level'].forEach(f => { if (f in row) r[f] = s(row[f]) || null; });
+            if ('capacity' in row) {
+                const capacity = s(row.capacity) === '' ? null : Number(row.capacity);
+                if (capacity !== null && !(capacity >= 0)) {
+                    errors.push({ row: line, message: `Capacity "${s(row.capacity)}" is not a number` });
+                    return;
+                }
+                r.capacity = capacity;
+            }
+            if (parseActive(row.active) !== undefined) r.active = parseActive(row.active);
+            racks.set(`${normCode(wh)}\u0001${normCode(rack)}`, r);
+        });
+
+        return { warehouses: [...warehouses.values()], racks: [...racks.values()], errors };
+    }
+
+    /**
+     * First sheet of a CSV / Excel file -> fromSheetRows()
+     */
+    async function readFile(file) {
+        if (typeof XLSX === 'undefined') throw new Error('Excel library not loaded');
+        const wb = /\.csv$/i.test(file.name)
+            ? XLSX.read(await file.text(), { type: 'string' })
+            : XLSX.read(await file.arrayBuffer(), { type: 'array' });
+        const sheet = wb.Sheets[wb.SheetNames[0]];
+        return fromSheetRows(sheet ? XLSX.utils.sheet_to_json(sheet, { defval: '' }) : []);
+    }
+
+    // Upsert rows in groups of the same columns (PostgREST sends one column list per request);
+    // rows that only carry the key are left alone when they already exist
+    async function upsertGrouped(upsert, rows, keyColumns) {
+        const groups = new Map();
+        rows.forEach(row => {
+            const cols = Object.keys(row).sort().join(',');
+            if (!groups.has(cols)) groups.set(cols, []);
+            groups.get(cols).push(row);
+        });
+        for (const [cols, group] of groups) {
+            const keyOnly = cols === keyColumns.slice().sort().join(',');
+            const res = await upsert(group, keyOnly);
+            if (!res.success) throw res.error;
+        }
+    }
+
+    /**
+     * Upsert the result of fromSheetRows() / readFile(). Codes that only differ in case or spaces
+     * from an existing warehouse / rack update that one instead of adding a look-alike.
+     * Returns { success, data: { warehouses, racks } } with the number of rows written.
+     */
+    async function importRows(parsed) {
+        const sb = api();
+        if (!sb) return unavailable();
+        try {
+            let current = await load();
+            if (!current.success) throw current.error;
+            const whCode = (code) => current.data.warehouses.find(w => normCode(w.code) === normCode(code))?.code || s(code);
+
+            await upsertGrouped(sb.upsertWarehouses,
+                parsed.warehouses.map(w => ({ ...w, code: whCode(w.code) })), ['code']);
+
+            current = await load();
+            if (!current.success) throw current.error;
+            const whId = (code) => current.data.warehouses.find(w => normCode(w.code) === normCode(code))?.id;
+            const rackCode = (warehouseId, code) => current.data.racks
+                .find(r => r.warehouse_id === warehouseId && normCode(r.code) === normCode(code))?.code || s(code);
+
+            const racks = parsed.racks.map(({ warehouse, ...r }) => {
+                const warehouse_id = whId(warehouse);
+                return { ...r, warehouse_id, code: rackCode(warehouse_id, r.code) };
+            });
+            await upsertGrouped(sb.upsertRacks, racks, ['warehouse_id', 'code']);
+
+            console.log(`🗄️ Imported ${parsed.warehouses.length} warehouse(s), ${racks.length} rack(s)`);
+            changed({ imported: true });
+            return { success: true, data: { warehouses: parsed.warehouses.length, racks: racks.length } };
+        } catch (error) {
+            console.error('Error importing warehouses / racks:', error);
+            return { success: false, error: explain(error) };
+        }
+    }
+
+    /* ---------- Reconciliation ---------- */
+
+    /**
+     * Inventory locations missing from the master data.
+     * master: { warehouses, racks } (load()), records: { profiles, accessories } (InventoryData.get().records)
+     * Returns [{ warehouse, rack, issue, profiles, accessories, codes }] with the most used first;
+     * issue is 'unknown-warehouse', 'unknown-rack' or 'inactive' (see ISSUES).
+     */
+    function reconcile(master, records) {
+        const warehouses = new Map(master.warehouses.map(w => [normCode(w.code), w]));
+        const racks = new Map(master.racks.map(r => [`${r.warehouse_id}\u0001${normCode(r.code)}`, r]));
+        const found = new Map();
+
+        ['profiles', 'accessories'].forEach(kind => {
+            (records?.[kind] || []).forEach(rec => {
+                const wh = s(rec.warehouse_no);
+                const rack = s(rec.rack_no);
+                if (!wh) return;
+
+                const w = warehouses.get(normCode(wh));
+                const r = w && rack ? racks.get(`${w.id}\u0001${normCode(rack)}`) : null;
+                let issue = null;
+                if (!w) issue = 'unknown-warehouse';
+                else if (rack && !r) issue = 'unknown-rack';
+                else if (w.active === false || r?.active === false) issue = 'inactive';
+                if (!issue) return;
+
+                const key = `${normCode(wh)}\u0001${normCode(rack)}`;
+                const entry = found.get(key) || { warehouse: wh, rack, issue, profiles: 0, accessories: 0, codes: [] };
+                entry[kind]++;
+                if (entry.codes.length < CONFIG.SAMPLE_CODES) entry.codes.push(s(rec.code));
+                found.set(key, entry);
+            });
+        });
+
+        return [...found.values()].sort((a, b) =>
+            (b.profiles + b.accessories) - (a.profiles + a.accessories)
+            || a.warehouse.localeCompare(b.warehouse) || a.rack.localeCompare(b.rack));
+    }
+
+    /* ---------- CSV ---------- */
+
+    function csvCell(v) {
+        const t = s(v);
+        return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+    }
+
+    function toCSV(head, rows) {
+        return [head.join(',')].concat(rows.map(r => r.map(csvCell).join(','))).join('\n');
+    }
+
+    // Import template: one warehouse row and one rack row as examples
+    function templateCSV() {
+        return toCSV(
+            ['Warehouse', 'Warehouse Name', 'Rack', 'Rack Name', 'Zone', 'Aisle', 'Level', 'Capacity', 'Active'],
+            [['WH1', 'Main warehouse', '', '', '', '', '', '', 'yes'],
+             ['WH1', 'Main warehouse', 'A1', 'Profiles 6m', 'A', '1', '1', '120', 'yes']]);
+    }
+
+    function reconcileCSV(list) {
+        return toCSV(
+            ['Warehouse No', 'Rack No', 'Issue', 'Profiles', 'Accessories', 'Sample Codes'],
+            list.map(e => [e.warehouse, e.rack, ISSUES[e.issue] || e.issue, e.profiles, e.accessories, e.codes.join(' ')]));
+    }
+
+    function download(text, fileName) {
+        const blob = new Blob([text], { type: 'text/csv;charset=utf-8' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    window.WarehouseMaster = {
+        EVENT: CONFIG.EVENT,
+        ISSUES,
+        load,
+        saveWarehouse,
+        saveRack,
+        remove,
+        fromSheetRows,
+        readFile,
+        importRows,
+        reconcile,
+        templateCSV,
+        reconcileCSV,
+        download
+    };
+
+})();
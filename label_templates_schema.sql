@@ -0,0 +1,110 @@
+-- Label Templates Schema
+-- Shared label layouts (blocks, fonts, image box, barcode, paper) per organization.
+-- Admins design them in profile-print-preview.html / accessories-print-preview.html;
+-- every client loads the active template for its label type + size.
+
+create table if not exists public.label_templates (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null default '00000000-0000-0000-0000-000000000000' references public.organizations(id),
+  name text not null,
+  label_type text not null check (label_type in ('profile','accessory')),
+  label_size text not null,                 -- e.g. '160x110', '100x50'
+  layout jsonb not null default '{}',       -- { blocks, vars, paper, barcode }
+  is_active boolean not null default false,
+  version int not null default 1,           -- bump on every save
+  updated_by uuid references auth.users(id),
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (organization_id, label_type, label_size, name)
+);
+
+-- Only one active template per organization / label type / size
+create unique index if not exists idx_label_templates_active
+  on public.label_templates(organization_id, label_type, label_size)
+  where is_active;
+
+create index if not exists idx_label_templates_org_type
+  on public.label_templates(organization_id, label_type, label_size);
+
+-- Enable row level security
+alter table public.label_templates enable row level security;
+
+-- Users read the templates of their own organization
+drop policy if exists "authenticated users can read label templates" on public.label_templates;
+drop policy if exists "users can read own org label templates" on public.label_templates;
+create policy "users can read own org label templates" on public.label_templates
+for select using (
+  organization_id = (select organization_id from public.profiles where id = auth.uid())
+);
+
+-- Only admins can create / change / delete templates, and only their own organization's
+drop policy if exists "admins can insert label templates" on public.label_templates;
+create policy "admins can insert label templates" on public.label_templates
+for insert with check (
+  exists (select 1 from public.profiles
+          where id = auth.uid() and is_admin = true and organization_id = label_templates.organization_id)
+);
+
+drop policy if exists "admins can update label templates" on public.label_templates;
+create policy "admins can update label templates" on public.label_templates
+for update using (
+  exists (select 1 from public.profiles
+          where id = auth.uid() and is_admin = true and organization_id = label_templates.organization_id)
+) with check (
+  exists (select 1 from public.profiles
+          where id = auth.uid() and is_admin = true and organization_id = label_templates.organization_id)
+);
+
+drop policy if exists "admins can delete label templates" on public.label_templates;
+create policy "admins can delete label templates" on public.label_templates
+for delete using (
+  exists (select 1 from public.profiles
+          where id = auth.uid() and is_admin = true and organization_id = label_templates.organization_id)
+);
+
+-- Publish: make one template the active one for its type + size
+create or replace function public.activate_label_template(template_id uuid)
+returns void language plpgsql security definer
+set search_path = public
+as $$
+declare
+  t public.label_templates;
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and is_admin = true) then
+    raise exception 'Admins only';
+  end if;
+
+  select * into t from public.label_templates
+   where id = template_id
+     and organization_id = (select organization_id from public.profiles where id = auth.uid());
+  if not found then
+    raise exception 'Label template % not found', template_id;
+  end if;
+
+  update public.label_templates
+     set is_active = false
+   where organization_id = t.organization_id
+     and label_type = t.label_type
+     and label_size = t.label_size
+     and is_active
+     and id <> t.id;
+
+  update public.label_templates
+     set is_active = true, updated_at = now(), updated_by = auth.uid()
+   where id = t.id;
+end;
+$$;
+
+grant execute on function public.activate_label_template(uuid) to authenticated;
+
+-- Let clients pick up newly published templates in realtime (once; the script can be re-run)
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'label_templates'
+  ) then
+    alter publication supabase_realtime add table public.label_templates;
+  end if;
+end;
+$$;
@@ -0,0 +1,60 @@
+-- Warehouse / Rack Master Data: admin-only writes with one admin check
+-- Every insert, update and delete on warehouses / racks requires profiles.is_admin = true, the
+-- check the other feature scripts use. supabase-schema-fixed.sql marks admins with profiles.role
+-- and let any signed-in user insert warehouses and racks; database-schema.sql has is_admin but no
+-- role. This script adds the columns the feature scripts rely on (is_admin, organization_id),
+-- keeps is_admin in step with role where that column exists, and replaces the insert / update
+-- policies of supabase-schema-fixed.sql. The label pages only offer "Add rack" to admins
+-- (js/item-locations.js createRack) and transfer_stock() no longer creates destinations.
+-- Run after supabase-schema-fixed.sql (or database-schema.sql) and stock_transfers_schema.sql.
+
+alter table public.profiles add column if not exists is_admin boolean not null default false;
+alter table public.profiles add column if not exists organization_id uuid default '00000000-0000-0000-0000-000000000000';
+
+-- Read through to_jsonb() so the script also runs where profiles has no role column
+update public.profiles p
+   set is_admin = true
+ where to_jsonb(p)->>'role' = 'admin'
+   and not p.is_admin;
+
+create or replace function public.sync_profile_admin() returns trigger language plpgsql as $$
+begin
+  if to_jsonb(new) ? 'role'
+     and (tg_op = 'INSERT' or to_jsonb(new)->>'role' is distinct from to_jsonb(old)->>'role') then
+    new.is_admin := to_jsonb(new)->>'role' = 'admin';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_sync_profile_admin on public.profiles;
+create trigger trg_sync_profile_admin before insert or update on public.profiles
+for each row execute function public.sync_profile_admin();
+
+-- Warehouses
+drop policy if exists "warehouses insert authenticated" on public.warehouses;
+drop policy if exists "warehouses insert admin" on public.warehouses;
+create policy "warehouses insert admin" on public.warehouses for insert with check (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
+
+drop policy if exists "warehouses update admin" on public.warehouses;
+create policy "warehouses update admin" on public.warehouses for update using (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+) with check (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
+
+-- Racks
+drop policy if exists "racks insert authenticated" on public.racks;
+drop policy if exists "racks insert admin" on public.racks;
+create policy "racks insert admin" on public.racks for insert with check (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
+
+drop policy if exists "racks update admin" on public.racks;
+create policy "racks update admin" on public.racks for update using (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+) with check (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
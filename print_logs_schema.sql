@@ -0,0 +1,136 @@
+-- Print Logs Extension
+-- Extends public.print_logs (supabase-schema-fixed.sql) so the label previews can log every
+-- print by item / warehouse / rack *code*. Ids are resolved when the codes exist in
+-- items / warehouses / racks; the codes themselves are always kept.
+-- Run after supabase-schema-fixed.sql and label_templates_schema.sql.
+
+alter table public.print_logs alter column item_id drop not null;
+alter table public.print_logs alter column warehouse_id drop not null;
+
+alter table public.print_logs
+  add column if not exists organization_id uuid default '00000000-0000-0000-0000-000000000000',
+  add column if not exists item_code text,
+  add column if not exists item_type text check (item_type in ('profile','accessory')),
+  add column if not exists warehouse_code text,
+  add column if not exists rack_code text,
+  add column if not exists template_id uuid references public.label_templates(id) on delete set null,
+  add column if not exists template_name text,
+  add column if not exists source text,           -- 'preview', 'queue', 'sheet', 'autoprint', 'thermal'
+  add column if not exists payload jsonb,         -- label payload, lets a print be reopened
+  add column if not exists client_ref text,       -- set by the device; makes offline retries idempotent
+  add column if not exists item_status text,      -- status of the item when printed
+  add column if not exists override_reason text;  -- reason given to print past a 'warn' print policy
+
+create unique index if not exists idx_print_logs_client_ref on public.print_logs(client_ref);
+create index if not exists idx_print_logs_org_printed on public.print_logs(organization_id, printed_at desc);
+create index if not exists idx_print_logs_user_printed on public.print_logs(user_id, printed_at desc);
+
+-- Prints belong to the organization of the signed-in user's profile, whatever the client sends
+create or replace function public.set_print_org() returns trigger language plpgsql as $$
+begin
+  if auth.uid() is not null then
+    new.organization_id := coalesce((select organization_id from public.profiles where id = auth.uid()),
+                                    '00000000-0000-0000-0000-000000000000');
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_set_print_org on public.print_logs;
+create trigger trg_set_print_org before insert on public.print_logs
+for each row execute function public.set_print_org();
+
+-- Insert a batch of prints (one json object per row, see js/print-log.js).
+-- Runs as the caller: the "print_logs insert" policy, trg_set_print_user and trg_set_print_org
+-- (the caller's organization) still apply.
+create or replace function public.log_prints(entries jsonb)
+returns int language plpgsql
+set search_path = public
+as $$
+declare
+  e jsonb;
+  wh_id bigint;
+  n int := 0;
+  inserted int;
+begin
+  for e in select * from jsonb_array_elements(coalesce(entries, '[]'::jsonb)) loop
+    select id into wh_id from public.warehouses where code = nullif(e->>'warehouse_code', '');
+
+    insert into public.print_logs (
+      item_id, item_code, item_type, label_qty, label_size,
+      warehouse_id, warehouse_code, rack_id, rack_code,
+      template_id, template_name, source, payload, client_ref, item_status, override_reason, printed_at
+    ) values (
+      (select id from public.items where sku = nullif(e->>'item_code', '')),
+      nullif(e->>'item_code', ''),
+      nullif(e->>'item_type', ''),
+      greatest(coalesce((e->>'label_qty')::int, 1), 1),
+      coalesce(nullif(e->>'label_size', ''), 'unknown'),
+      wh_id,
+      nullif(e->>'warehouse_code', ''),
+      (select id from public.racks where warehouse_id = wh_id and code = nullif(e->>'rack_code', '')),
+      nullif(e->>'rack_code', ''),
+      nullif(e->>'template_id', '')::uuid,
+      nullif(e->>'template_name', ''),
+      nullif(e->>'source', ''),
+      e->'payload',
+      nullif(e->>'client_ref', ''),
+      nullif(e->>'item_status', ''),
+      nullif(e->>'override_reason', ''),
+      coalesce(nullif(e->>'printed_at', '')::timestamptz, now())
+    )
+    on conflict (client_ref) do nothing;
+
+    get diagnostics inserted = row_count;
+    n := n + inserted;
+  end loop;
+  return n;
+end;
+$$;
+
+grant execute on function public.log_prints(jsonb) to authenticated;
+
+-- Total labels printed in the caller's organization (admin dashboard counter)
+create or replace function public.get_labels_printed(since timestamptz default null)
+returns bigint language plpgsql security definer
+set search_path = public
+as $$
+declare
+  org uuid;
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and is_admin = true) then
+    raise exception 'Admins only';
+  end if;
+  select organization_id into org from public.profiles where id = auth.uid();
+  return (select coalesce(sum(label_qty), 0) from public.print_logs
+          where organization_id = org
+            and (since is null or printed_at >= since));
+end;
+$$;
+
+revoke all on function public.get_labels_printed(timestamptz) from anon, authenticated;
+grant execute on function public.get_labels_printed(timestamptz) to authenticated;
+
+-- Reports: keep rows whose item / warehouse / rack are only known by code
+create or replace view public.report_prints as
+select
+  pl.printed_at as date,
+  pr.username,
+  coalesce(it.sku, pl.item_code) as sku,
+  pl.label_qty,
+  pl.label_size,
+  coalesce(wh.code, pl.warehouse_code) as warehouse_code,
+  coalesce(rk.code, pl.rack_code) as rack_code
+from public.print_logs pl
+left join public.items it on it.id = pl.item_id
+left join public.warehouses wh on wh.id = pl.warehouse_id
+left join public.racks rk on rk.id = pl.rack_id
+left join public.profiles pr on pr.id = pl.user_id
+order by pl.printed_at desc;
+
+-- Recent prints / reprint: users read their own rows, admins (profiles.is_admin) the whole log
+drop policy if exists "print_logs select own" on public.print_logs;
+create policy "print_logs select own" on public.print_logs for select using (
+  user_id = auth.uid()
+  or exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
@@ -0,0 +1,63 @@
+-- Print Policy: one-step save
+-- save_print_policy() replaces the organization's print rules in a single transaction (no window
+-- in which a label page reads a half-saved policy) and records that the policy was configured, so
+-- an organization that removed every rule is told apart from one that never set a policy
+-- (js/print-policy.js only falls back to its default rules for the latter).
+-- Statuses are trimmed, and of rules naming the same status (any case / spacing) the first is kept.
+-- The organization is the caller's (profiles.organization_id); only admins can save.
+-- Run after print_policy_schema.sql.
+
+create table if not exists public.print_policy_settings (
+  organization_id uuid primary key references public.organizations(id),
+  updated_by uuid references public.profiles(id),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.print_policy_settings enable row level security;
+
+drop policy if exists "print policy settings read own org" on public.print_policy_settings;
+create policy "print policy settings read own org" on public.print_policy_settings for select using (
+  organization_id = (select organization_id from public.profiles where id = auth.uid())
+);
+
+-- rules: [{ kind, status, action, message }]; returns the number of rules saved
+create or replace function public.save_print_policy(rules jsonb)
+returns integer language plpgsql security definer
+set search_path = public
+as $$
+declare
+  org uuid;
+  saved integer;
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and is_admin = true) then
+    raise exception 'Only admins can change the print policy';
+  end if;
+  select organization_id into org from public.profiles where id = auth.uid();
+  if org is null then
+    raise exception 'Your profile has no organization';
+  end if;
+
+  delete from public.print_policies where organization_id = org;
+
+  insert into public.print_policies (organization_id, kind, status, action, message)
+  select distinct on (r->>'kind', lower(regexp_replace(coalesce(nullif(btrim(r->>'status'), ''), '*'), '\s+', ' ', 'g')))
+         org,
+         r->>'kind',
+         regexp_replace(coalesce(nullif(btrim(r->>'status'), ''), '*'), '\s+', ' ', 'g'),
+         coalesce(nullif(r->>'action', ''), 'allow'),
+         nullif(trim(r->>'message'), '')
+    from jsonb_array_elements(coalesce(rules, '[]'::jsonb)) with ordinality as x(r, pos)
+   order by r->>'kind', lower(regexp_replace(coalesce(nullif(btrim(r->>'status'), ''), '*'), '\s+', ' ', 'g')), pos;
+  get diagnostics saved = row_count;
+
+  insert into public.print_policy_settings (organization_id, updated_by, updated_at)
+  values (org, auth.uid(), now())
+  on conflict (organization_id) do update
+    set updated_by = excluded.updated_by, updated_at = excluded.updated_at;
+
+  return saved;
+end;
+$$;
+
+revoke all on function public.save_print_policy(jsonb) from anon;
+grant execute on function public.save_print_policy(jsonb) to authenticated;
@@ -0,0 +1,61 @@
+-- Print Policy Schema
+-- Per-status print rules for the label pages (profile-label-printing.html / acc-label-printing.html /
+-- rack-label-printing.html, including Recent Prints reprints).
+-- action: 'allow', 'warn' (reason required, stored in print_logs.override_reason) or 'block'.
+-- status '*' is the fallback rule for a label type. Statuses match case-insensitively with runs of
+-- spaces collapsed (like key() in js/print-policy.js), so one status has one rule per label type.
+-- See js/print-policy.js.
+
+create table if not exists public.print_policies (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null default '00000000-0000-0000-0000-000000000000' references public.organizations(id),
+  kind text not null check (kind in ('profile','accessory')),
+  status text not null,                     -- status value as in the workbook, or '*'
+  action text not null default 'allow' check (action in ('allow','warn','block')),
+  message text,                             -- shown to the user when warned / blocked
+  created_at timestamptz default now(),
+  unique (organization_id, kind, status)
+);
+
+-- One rule per status as js/print-policy.js matches it; older duplicates keep the first saved
+delete from public.print_policies p
+ using public.print_policies q
+ where p.organization_id = q.organization_id
+   and p.kind = q.kind
+   and lower(regexp_replace(btrim(p.status), '\s+', ' ', 'g')) = lower(regexp_replace(btrim(q.status), '\s+', ' ', 'g'))
+   and (p.created_at, p.id::text) > (q.created_at, q.id::text);
+
+create unique index if not exists idx_print_policies_status_key
+  on public.print_policies(organization_id, kind, lower(regexp_replace(btrim(status), '\s+', ' ', 'g')));
+
+-- Enable row level security
+alter table public.print_policies enable row level security;
+
+-- Any authenticated user can read the policy
+drop policy if exists "authenticated users can read print policies" on public.print_policies;
+create policy "authenticated users can read print policies" on public.print_policies
+for select using (
+  auth.role() = 'authenticated'
+);
+
+-- Only admins can change it
+drop policy if exists "admins can insert print policies" on public.print_policies;
+create policy "admins can insert print policies" on public.print_policies
+for insert with check (
+  auth.role() = 'authenticated' AND
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
+
+drop policy if exists "admins can update print policies" on public.print_policies;
+create policy "admins can update print policies" on public.print_policies
+for update using (
+  auth.role() = 'authenticated' AND
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
+
+drop policy if exists "admins can delete print policies" on public.print_policies;
+create policy "admins can delete print policies" on public.print_policies
+for delete using (
+  auth.role() = 'authenticated' AND
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
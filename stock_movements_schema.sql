@@ -0,0 +1,162 @@
+-- Stock Movements (bin card ledger)
+-- One row per stock movement of an item at a warehouse / rack: opening balance, receipts,
+-- issues, transfers and adjustments. Quantities are signed (+ into the location, - out of it),
+-- so the balance of a location is the sum of its rows and bin-card.html shows the running sum.
+-- Like print_logs, rows keep the item / warehouse / rack *codes*; ids are resolved when the
+-- codes exist in items / warehouses / racks.
+-- The ledger is append-only: mistakes are corrected with an adjustment, not by editing rows.
+-- Users read and post the ledger of their own organization (profiles.organization_id).
+-- Run after supabase-schema-fixed.sql.
+
+create table if not exists public.stock_movements (
+  id bigserial primary key,
+  organization_id uuid not null default '00000000-0000-0000-0000-000000000000',
+  item_id bigint references public.items(id) on delete set null,
+  item_code text not null,
+  item_type text check (item_type in ('profile','accessory')),
+  warehouse_id bigint references public.warehouses(id) on delete set null,
+  warehouse_code text not null,
+  rack_id bigint references public.racks(id) on delete set null,
+  rack_code text,
+  movement_type text not null
+    check (movement_type in ('opening','receipt','issue','transfer_in','transfer_out','adjustment')),
+  quantity numeric(14,3) not null,
+  reference text,                 -- delivery note, order, count session, transfer ...
+  note text,
+  client_ref text,                -- set by the device; makes retries idempotent
+  created_by uuid references public.profiles(id),
+  created_at timestamptz not null default now(),
+  constraint stock_movements_sign check (
+    (movement_type in ('receipt','transfer_in') and quantity > 0)
+    or (movement_type in ('issue','transfer_out') and quantity < 0)
+    or (movement_type = 'opening' and quantity >= 0)
+    or (movement_type = 'adjustment' and quantity <> 0)
+  )
+);
+
+alter table public.stock_movements enable row level security;
+
+create unique index if not exists idx_stock_movements_client_ref on public.stock_movements(client_ref);
+create index if not exists idx_stock_movements_item on public.stock_movements(organization_id, item_code, created_at);
+create index if not exists idx_stock_movements_location on public.stock_movements(organization_id, warehouse_code, rack_code);
+
+create or replace function public.set_movement_user() returns trigger language plpgsql as $$
+begin
+  if new.created_by is null then new.created_by := auth.uid(); end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists trg_set_movement_user on public.stock_movements;
+create trigger trg_set_movement_user before insert on public.stock_movements
+for each row execute function public.set_movement_user();
+
+-- Everyone signed in reads and posts the ledger of their organization; nobody edits or deletes rows
+drop policy if exists "stock_movements select" on public.stock_movements;
+create policy "stock_movements select" on public.stock_movements for select using (
+  organization_id = (select organization_id from public.profiles where id = auth.uid())
+);
+drop policy if exists "stock_movements insert" on public.stock_movements;
+create policy "stock_movements insert" on public.stock_movements for insert with check (
+  organization_id = (select organization_id from public.profiles where id = auth.uid())
+);
+
+-- Post a batch of movements (one json object per row, see js/stock-movements.js).
+-- The batch is one transaction: if one row is rejected nothing is posted.
+-- An opening balance is only accepted while the item has no movements at that location.
+-- Rows go to the caller's organization.
+create or replace function public.post_stock_movements(entries jsonb)
+returns int language plpgsql
+set search_path = public
+as $$
+declare
+  e jsonb;
+  org uuid;
+  wh_id bigint;
+  n int := 0;
+  inserted int;
+begin
+  select organization_id into org from public.profiles where id = auth.uid();
+  if org is null then
+    raise exception 'Your profile has no organization';
+  end if;
+
+  for e in select * from jsonb_array_elements(coalesce(entries, '[]'::jsonb)) loop
+    if nullif(e->>'item_code', '') is null or nullif(e->>'warehouse_code', '') is null then
+      raise exception 'Item code and warehouse are required';
+    end if;
+
+    select id into wh_id from public.warehouses where code = e->>'warehouse_code';
+
+    if e->>'movement_type' = 'opening' and exists (
+      select 1 from public.stock_movements
+      where organization_id = org
+        and item_code = e->>'item_code'
+        and warehouse_code = e->>'warehouse_code'
+        and rack_code is not distinct from nullif(e->>'rack_code', '')
+        and client_ref is distinct from nullif(e->>'client_ref', '')
+    ) then
+      raise exception 'Item % already has movements at %/%; post an adjustment instead',
+        e->>'item_code', e->>'warehouse_code', coalesce(e->>'rack_code', '');
+    end if;
+
+    insert into public.stock_movements (
+      organization_id, item_id, item_code, item_type,
+      warehouse_id, warehouse_code, rack_id, rack_code,
+      movement_type, quantity, reference, note, client_ref, created_at
+    ) values (
+      org,
+      (select id from public.items where sku = e->>'item_code'),
+      e->>'item_code',
+      nullif(e->>'item_type', ''),
+      wh_id,
+      e->>'warehouse_code',
+      (select id from public.racks where warehouse_id = wh_id and code = nullif(e->>'rack_code', '')),
+      nullif(e->>'rack_code', ''),
+      e->>'movement_type',
+      (e->>'quantity')::numeric,
+      nullif(e->>'reference', ''),
+      nullif(e->>'note', ''),
+      nullif(e->>'client_ref', ''),
+      coalesce(nullif(e->>'created_at', '')::timestamptz, now())
+    )
+    on conflict (client_ref) do nothing;
+
+    get diagnostics inserted = row_count;
+    n := n + inserted;
+  end loop;
+  return n;
+end;
+$$;
+
+grant execute on function public.post_stock_movements(jsonb) to authenticated;
+
+-- Current balance per item and location
+create or replace view public.stock_balances
+with (security_invoker = true) as
+select
+  organization_id,
+  item_code,
+  max(item_type) as item_type,
+  warehouse_code,
+  rack_code,
+  sum(quantity) as quantity,
+  count(*) as movements,
+  max(created_at) as last_movement_at
+from public.stock_movements
+group by organization_id, item_code, warehouse_code, rack_code;
+
+-- Ledger rows with the name of the user who posted them. Read through to_jsonb() so the view
+-- works with either profiles table (username in supabase-schema-fixed.sql, full_name / email
+-- in database-schema.sql); rows whose poster's profile the caller can't read get no name.
+create or replace view public.stock_movement_history
+with (security_invoker = true) as
+select
+  m.*,
+  coalesce(
+    nullif(to_jsonb(p)->>'username', ''),
+    nullif(to_jsonb(p)->>'full_name', ''),
+    nullif(to_jsonb(p)->>'email', '')
+  ) as created_by_name
+from public.stock_movements m
+left join public.profiles p on p.id = m.created_by;
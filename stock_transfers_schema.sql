@@ -0,0 +1,176 @@
+-- Stock Transfers (transfer.html)
+-- Moves a quantity of an item from one warehouse / rack to another in one transaction:
+--   - one stock_transfers row (source, destination, quantity) for the item's transfer history
+--   - the destination becomes an active item_locations row; its warehouse / rack must already be
+--     in the master data (admins add them), unknown codes are rejected; with move_all the
+--     source row is deactivated, the item no longer lives there
+--   - a transfer_out / transfer_in pair in stock_movements, so both bin cards follow
+--   - with move_all by an admin, inventory_profiles / inventory_accessories rows that list the
+--     source as the item's location are moved to the destination (the database tables inventory
+--     source); other users' transfers leave the masterfile to the admins
+-- Rows are only written through transfer_stock(), in the caller's organization (from profiles).
+-- Re-running this file replaces transfer_stock() with the checked version.
+-- Run after supabase-schema-fixed.sql, database-schema.sql and stock_movements_schema.sql.
+
+create table if not exists public.stock_transfers (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null default '00000000-0000-0000-0000-000000000000',
+  item_id bigint references public.items(id) on delete set null,
+  item_code text not null,
+  item_type text check (item_type in ('profile','accessory')),
+  from_warehouse_code text not null,
+  from_rack_code text,
+  to_warehouse_code text not null,
+  to_rack_code text,
+  from_location_id bigint references public.item_locations(id) on delete set null,
+  to_location_id bigint references public.item_locations(id) on delete set null,
+  quantity numeric(14,3) not null check (quantity > 0),
+  move_all boolean not null default false,
+  note text,
+  client_ref text unique,         -- set by the device; makes retries idempotent
+  created_by uuid references public.profiles(id),
+  created_at timestamptz not null default now()
+);
+
+alter table public.stock_transfers enable row level security;
+
+create index if not exists idx_stock_transfers_item on public.stock_transfers(organization_id, item_code, created_at desc);
+
+drop policy if exists "stock_transfers select" on public.stock_transfers;
+create policy "stock_transfers select" on public.stock_transfers for select using ( auth.role() = 'authenticated' );
+
+-- Transfer stock: { client_ref, item_code, item_type, description,
+-- from_warehouse_code, from_rack_code, to_warehouse_code, to_rack_code, quantity, move_all, note }
+-- Returns the transfer id (the existing one when client_ref was already posted).
+create or replace function public.transfer_stock(transfer jsonb)
+returns uuid language plpgsql security definer
+set search_path = public
+as $$
+declare
+  tid uuid;
+  org uuid;
+  admin boolean;
+  item_sku text := nullif(trim(transfer->>'item_code'), '');
+  kind text := nullif(transfer->>'item_type', '');
+  from_wh text := nullif(trim(transfer->>'from_warehouse_code'), '');
+  from_rack text := nullif(trim(transfer->>'from_rack_code'), '');
+  to_wh text := nullif(trim(transfer->>'to_warehouse_code'), '');
+  to_rack text := nullif(trim(transfer->>'to_rack_code'), '');
+  qty numeric := nullif(transfer->>'quantity', '')::numeric;
+  all_stock boolean := coalesce((transfer->>'move_all')::boolean, false);
+  item bigint;
+  from_wh_id bigint;
+  from_rack_id bigint;
+  to_wh_id bigint;
+  to_rack_id bigint;
+  from_loc bigint;
+  to_loc bigint;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to transfer stock';
+  end if;
+  select organization_id, coalesce(is_admin, false) into org, admin from public.profiles where id = auth.uid();
+  if org is null then
+    raise exception 'Your profile has no organization';
+  end if;
+  if item_sku is null or from_wh is null or to_wh is null then
+    raise exception 'Item, source warehouse and destination warehouse are required';
+  end if;
+  if qty is null or qty <= 0 then
+    raise exception 'Transfer quantity must be positive';
+  end if;
+  if from_wh = to_wh and from_rack is not distinct from to_rack then
+    raise exception 'Source and destination are the same location';
+  end if;
+
+  select id into tid from public.stock_transfers where client_ref = nullif(transfer->>'client_ref', '');
+  if tid is not null then
+    return tid;
+  end if;
+
+  insert into public.items (sku, name) values (item_sku, coalesce(transfer->>'description', ''))
+  on conflict (sku) do nothing;
+  select id into item from public.items where sku = item_sku;
+
+  select id into to_wh_id from public.warehouses where code = to_wh;
+  if to_wh_id is null then
+    raise exception 'Unknown destination warehouse %', to_wh;
+  end if;
+  if to_rack is not null then
+    select id into to_rack_id from public.racks where warehouse_id = to_wh_id and code = to_rack;
+    if to_rack_id is null then
+      raise exception 'Unknown destination rack % in warehouse %', to_rack, to_wh;
+    end if;
+  end if;
+
+  select id into from_wh_id from public.warehouses where code = from_wh;
+  select id into from_rack_id from public.racks where warehouse_id = from_wh_id and code = from_rack;
+
+  -- Source: the item's active location row there, if it was ever recorded
+  select id into from_loc from public.item_locations
+   where item_id = item and warehouse_id = from_wh_id and rack_id is not distinct from from_rack_id and active
+   order by added_at desc limit 1;
+  if all_stock and from_loc is not null then
+    update public.item_locations set active = false where id = from_loc;
+  end if;
+
+  -- Destination: reactivate a previous row or add one
+  select id into to_loc from public.item_locations
+   where item_id = item and warehouse_id = to_wh_id and rack_id is not distinct from to_rack_id
+   order by active desc, added_at desc limit 1;
+  if to_loc is not null then
+    update public.item_locations
+       set active = true, note = 'Transfer from ' || concat_ws(' / ', from_wh, from_rack)
+     where id = to_loc;
+  else
+    insert into public.item_locations (item_id, warehouse_id, rack_id, note, added_by)
+    values (item, to_wh_id, to_rack_id, 'Transfer from ' || concat_ws(' / ', from_wh, from_rack), auth.uid())
+    returning id into to_loc;
+  end if;
+
+  insert into public.stock_transfers (
+    organization_id, item_id, item_code, item_type,
+    from_warehouse_code, from_rack_code, to_warehouse_code, to_rack_code,
+    from_location_id, to_location_id, quantity, move_all, note, client_ref, created_by
+  ) values (
+    org, item, item_sku, kind,
+    from_wh, from_rack, to_wh, to_rack,
+    from_loc, to_loc, qty, all_stock, nullif(transfer->>'note', ''), nullif(transfer->>'client_ref', ''), auth.uid()
+  )
+  returning id into tid;
+
+  insert into public.stock_movements (
+    organization_id, item_id, item_code, item_type,
+    warehouse_id, warehouse_code, rack_id, rack_code,
+    movement_type, quantity, reference, note, client_ref, created_by
+  ) values
+    (org, item, item_sku, kind, from_wh_id, from_wh, from_rack_id, from_rack,
+     'transfer_out', -qty, 'Transfer to ' || concat_ws(' / ', to_wh, to_rack), nullif(transfer->>'note', ''), 'transfer:' || tid || ':out', auth.uid()),
+    (org, item, item_sku, kind, to_wh_id, to_wh, to_rack_id, to_rack,
+     'transfer_in', qty, 'Transfer from ' || concat_ws(' / ', from_wh, from_rack), nullif(transfer->>'note', ''), 'transfer:' || tid || ':in', auth.uid());
+
+  -- The masterfile keeps one location per item: only move rows that still point at the source.
+  -- Only admins change the masterfile; other transfers are on the bin cards and item locations
+  if all_stock and admin then
+    if kind is distinct from 'accessory' then
+      update public.inventory_profiles
+         set warehouse_no = to_wh, rack_no = to_rack, updated_at = now()
+       where organization_id = org and code = item_sku
+         and upper(replace(coalesce(warehouse_no, ''), ' ', '')) = upper(replace(from_wh, ' ', ''))
+         and upper(replace(coalesce(rack_no, ''), ' ', '')) = upper(replace(coalesce(from_rack, ''), ' ', ''));
+    end if;
+    if kind is distinct from 'profile' then
+      update public.inventory_accessories
+         set warehouse_no = to_wh, rack_no = to_rack, updated_at = now()
+       where organization_id = org and code = item_sku
+         and upper(replace(coalesce(warehouse_no, ''), ' ', '')) = upper(replace(from_wh, ' ', ''))
+         and upper(replace(coalesce(rack_no, ''), ' ', '')) = upper(replace(coalesce(from_rack, ''), ' ', ''));
+    end if;
+  end if;
+
+  return tid;
+end;
+$$;
+
+revoke all on function public.transfer_stock(jsonb) from anon;
+grant execute on function public.transfer_stock(jsonb) to authenticated;
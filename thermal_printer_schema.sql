@@ -0,0 +1,66 @@
+-- Thermal Printer Settings
+-- Language (ZPL / TSPL), resolution and print endpoint of the organization's thermal printers,
+-- read by every label preview (js/thermal-label.js) instead of the admin device's localStorage.
+-- A device may still override the endpoint locally with the printer next to it.
+-- The organization is the caller's (profiles.organization_id); only admins can save.
+-- Run after supabase-schema-fixed.sql (or database-schema.sql).
+
+create table if not exists public.thermal_printer_settings (
+  organization_id uuid primary key references public.organizations(id),
+  language text not null default 'zpl' check (language in ('zpl','tspl')),
+  dpi integer not null default 203 check (dpi in (203, 300)),
+  endpoint text not null default '',
+  no_cors boolean not null default false,
+  updated_by uuid references public.profiles(id),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.thermal_printer_settings enable row level security;
+
+drop policy if exists "thermal printer settings read own org" on public.thermal_printer_settings;
+create policy "thermal printer settings read own org" on public.thermal_printer_settings for select using (
+  organization_id = (select organization_id from public.profiles where id = auth.uid())
+);
+
+-- settings: { language, dpi, endpoint, no_cors }
+create or replace function public.save_thermal_printer(settings jsonb)
+returns void language plpgsql security definer
+set search_path = public
+as $$
+declare
+  org uuid;
+  url text := coalesce(trim(settings->>'endpoint'), '');
+begin
+  if not exists (select 1 from public.profiles where id = auth.uid() and is_admin = true) then
+    raise exception 'Only admins can change the thermal printer settings';
+  end if;
+  select organization_id into org from public.profiles where id = auth.uid();
+  if org is null then
+    raise exception 'Your profile has no organization';
+  end if;
+  if url <> '' and url !~* '^https?://' then
+    raise exception 'The print endpoint must be an http(s) URL';
+  end if;
+
+  insert into public.thermal_printer_settings (organization_id, language, dpi, endpoint, no_cors, updated_by, updated_at)
+  values (
+    org,
+    coalesce(nullif(settings->>'language', ''), 'zpl'),
+    coalesce(nullif(settings->>'dpi', '')::integer, 203),
+    url,
+    coalesce((settings->>'no_cors')::boolean, false),
+    auth.uid(),
+    now()
+  )
+  on conflict (organization_id) do update
+    set language = excluded.language,
+        dpi = excluded.dpi,
+        endpoint = excluded.endpoint,
+        no_cors = excluded.no_cors,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at;
+end;
+$$;
+
+revoke all on function public.save_thermal_printer(jsonb) from anon;
+grant execute on function public.save_thermal_printer(jsonb) to authenticated;
@@ -0,0 +1,30 @@
+-- Warehouse / Rack Master Data (Warehouses & Racks on the admin page)
+-- Adds the layout columns the admin screen edits to the warehouses / racks tables:
+--   - warehouses: active flag
+--   - racks: name, zone, aisle, level, capacity and active flag
+-- Inactive warehouses / racks stay referenced by item_locations and stock_movements but are
+-- no longer offered on the label pages. Only admins change or delete master data; inserts and
+-- updates are restricted by master_data_admin_schema.sql with the same profiles.is_admin check.
+-- Run after supabase-schema-fixed.sql (or database-schema.sql).
+
+alter table public.warehouses add column if not exists active boolean not null default true;
+alter table public.warehouses add column if not exists created_at timestamptz not null default now();
+
+alter table public.racks add column if not exists name text not null default '';
+alter table public.racks add column if not exists zone text;
+alter table public.racks add column if not exists aisle text;
+alter table public.racks add column if not exists level text;
+alter table public.racks add column if not exists capacity numeric(14,3) check (capacity is null or capacity >= 0);
+alter table public.racks add column if not exists active boolean not null default true;
+alter table public.racks add column if not exists created_at timestamptz not null default now();
+
+-- Only admins can delete; a warehouse with item locations cannot be deleted (deactivate it)
+drop policy if exists "warehouses delete admin" on public.warehouses;
+create policy "warehouses delete admin" on public.warehouses for delete using (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);
+
+drop policy if exists "racks delete admin" on public.racks;
+create policy "racks delete admin" on public.racks for delete using (
+  exists (select 1 from public.profiles where id = auth.uid() and is_admin = true)
+);